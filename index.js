@@ -1,10 +1,17 @@
-import { callPopup, eventSource, event_types, getRequestHeaders, saveSettingsDebounced, chat_metadata, name2, systemUserName, neutralCharacterName } from '../../../../script.js';
+import { callPopup, eventSource, event_types, getRequestHeaders, saveSettingsDebounced, chat_metadata, name2, systemUserName, neutralCharacterName, characters, this_chid, getCurrentChatId } from '../../../../script.js';
 import { extension_settings, saveMetadataDebounced } from '../../../extensions.js';
 import { POPUP_RESULT, POPUP_TYPE, Popup } from '../../../popup.js';
-import { executeSlashCommands, registerSlashCommand } from '../../../slash-commands.js';
-import { importWorldInfo, world_info, getWorldInfoSettings } from '../../../world-info.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue, enumTypes } from '../../../slash-commands/SlashCommandEnumValue.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { world_info, world_names, selected_world_info, getWorldInfoSettings, updateWorldInfoSettings, updateWorldInfoList, worldInfoCache } from '../../../world-info.js';
 import { selected_group, groups } from '../../../group-chats.js';
-import { escapeHtml } from '../../../utils.js';
+import { user_avatar } from '../../../personas.js';
+import { power_user } from '../../../power-user.js';
+import { oai_settings } from '../../../openai.js';
+import { tags, tag_map } from '../../../tags.js';
+import { escapeHtml, getSanitizedFilename, getSortableDelay, uuidv4 } from '../../../utils.js';
 import { addLocaleData, getCurrentLocale, translate, applyLocale } from '../../../i18n.js';
 
 // Context cache to avoid redundant character name lookups
@@ -46,6 +53,31 @@ function tKey(key, fallback, ...values) {
     return template.replace(/\$\{(\d+)\}/g, (_, i) => String(values[i] ?? ''));
 }
 
+// Default lock source order, highest priority first
+const DEFAULT_LOCK_PRIORITY = ['character', 'group', 'chat', 'persona', 'tag', 'globalDefault'];
+
+const DEFAULT_HOTKEYS = {
+    quickSwitcher: 'Ctrl+Shift+L',
+    nextFavorite: '',
+    previousFavorite: '',
+    toggleLock: '',
+};
+
+/**
+ * Custom eventSource events emitted for other extensions. Every payload carries plain
+ * preset copies (as in {@link Preset.toJSON}), never the stored presets.
+ */
+export const STWIL_EVENTS = Object.freeze({
+    /** `{preset, previousPreset, source, missingBooks}` after a preset (or null) has been activated */
+    PRESET_ACTIVATED: 'stwil_preset_activated',
+    /** `{preset, reason, previousName}` after a preset was created, updated, edited, renamed, imported or restored */
+    PRESET_SAVED: 'stwil_preset_saved',
+    /** `{preset}` after a preset and its locks were deleted */
+    PRESET_DELETED: 'stwil_preset_deleted',
+    /** `{type, target, preset, previousPreset}` after a lock or the global default changed */
+    LOCK_CHANGED: 'stwil_lock_changed',
+});
+
 export class Settings {
     static from(props) {
         props.presetList = props.presetList?.map(it=>Preset.from(it)) ?? [];
@@ -55,14 +87,31 @@ export class Settings {
     }
     /**@type {String}*/ presetName;
     /**@type {Preset[]}*/ presetList = [];
-    /**@type {Object.<string, string>}*/ characterLocks = {}; // characterName -> presetName
-    /**@type {Object.<string, string>}*/ groupLocks = {}; // groupId -> presetName
-    /**@type {boolean}*/ preferChatOverCharacterLocks = false;
+    /**@type {Object.<string, string>}*/ characterLocks = {}; // character avatar -> presetId
+    /**@type {Object.<string, string>}*/ groupLocks = {}; // groupId -> presetId
+    /**@type {Object.<string, string>}*/ personaLocks = {}; // persona avatar -> presetId
+    /**@type {Object.<string, string>}*/ tagLocks = {}; // tagId -> presetId
+    /**@type {String[]}*/ tagLockOrder = []; // tagIds, highest priority first
+    /**@type {String[]|null}*/ lockPriority = null; // lock source IDs, highest priority first
     /**@type {boolean}*/ enableCharacterLocks = true;
     /**@type {boolean}*/ enableChatLocks = true;
     /**@type {boolean}*/ enableGroupLocks = true;
+    /**@type {boolean}*/ enablePersonaLocks = true;
+    /**@type {boolean}*/ enableTagLocks = true;
     /**@type {boolean}*/ showLockNotifications = true;
-    /**@type {String}*/ globalDefaultPreset = ''; // Global default preset name
+    /**@type {String}*/ globalDefaultPreset = ''; // Global default presetId
+    /**@type {Object.<string, string>}*/ presetNameAliases = {}; // former preset name -> presetId
+    /**@type {Object.<string, PresetRevision[]>}*/ presetHistory = {}; // presetId -> revisions, newest first
+    /**@type {DeletedPreset[]}*/ deletedPresets = []; // newest first
+    /**@type {String[]}*/ favoritePresets = []; // presetIds
+    /**@type {String[]}*/ recentPresets = []; // presetIds, most recently activated first
+    /**@type {'auto'|'always'|'never'}*/ presetPicker = 'auto'; // when clicking the dropdown opens the searchable picker
+    /**@type {Object.<string, string>}*/ hotkeys = { ...DEFAULT_HOTKEYS }; // hotkey action -> key combination like 'Ctrl+Shift+L', empty for none
+    /**@type {'character'|'chat'|'persona'}*/ hotkeyLockType = 'character'; // lock toggled by the hotkey; character means group in group chats
+    /**@type {Object.<string, ChatLockIndexEntry>}*/ chatLockIndex = {}; // chatId -> lock seen in that chat, for exports
+    /**@type {boolean}*/ chatLocksScanned = false; // every chat was read once to fill chatLockIndex
+    /**@type {Object.<string, string>}*/ pendingChatLocks = {}; // chatId -> presetId, imported locks applied when the chat is next opened
+    /**@type {Object.<string, string[]>}*/ bookRemapDecisions = {}; // presetId -> missing books the remap prompt was last answered for
     
     get preset() {
         return this.presetList.find(it=>it.name == this.presetName);
@@ -71,22 +120,52 @@ export class Settings {
 
 export class Preset {
     static from(props) {
-        const instance = Object.assign(new this(), props);
+        const instance = new this();
+        for (const [key, value] of Object.entries(props ?? {})) {
+            if (key === 'extra') {
+                Object.assign(instance.extra, value);
+            } else if (Object.hasOwn(instance, key)) {
+                instance[key] = value;
+            } else {
+                // Written by a newer version; kept so saving here doesn't drop it
+                instance.extra[key] = value;
+            }
+        }
         return instance;
     }
+    /**@type {String}*/ id;
     /**@type {String}*/ name;
     /**@type {String[]}*/ worldList = [];
-    /**@type {Object|null}*/ worldInfoSettings = null;
+    /**@type {Object|null}*/ worldInfoSettings; // null: books only; undefined: saved before settings were captured
+    /**@type {String}*/ description = ''; // one line on what the preset is for
+    /**@type {String}*/ notes = '';
+    /**@type {String}*/ author = '';
+    /**@type {String}*/ source = ''; // where the preset came from, e.g. the file it was imported from
+    /**@type {String}*/ folder = ''; // folder name in the preset picker, empty for none
+    /**@type {number|null}*/ createdAt = null; // unknown for presets saved before timestamps were kept
+    /**@type {number|null}*/ updatedAt = null;
+    /**@type {Object}*/ extra = {}; // fields this version doesn't know, passed through on save and export
 
     toJSON() {
         return {
+            ...this.extra,
+            id: this.id,
             name: this.name,
             worldList: this.worldList,
             worldInfoSettings: this.worldInfoSettings,
+            description: this.description,
+            notes: this.notes,
+            author: this.author,
+            source: this.source,
+            folder: this.folder,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
         };
     }
 }
 
+const PRESET_METADATA_KEYS = ['description', 'notes', 'author', 'source', 'folder', 'createdAt', 'updatedAt'];
+
 /**@type {Settings}*/
 export const settings = Settings.from(extension_settings.worldInfoPresets ?? {});
 
@@ -134,42 +213,166 @@ function getCharacterNameForSettings() {
     return characterName;
 }
 
-function snapshotWorldInfoSettings() {
-    const s = getWorldInfoSettings();
-    // Only keep the fields you asked for (and avoid saving the whole world_info object)
+/**
+ * Character cards are identified by their avatar filename, which is unique per card.
+ * The display name is only used as a label.
+ */
+function getCharacterIdForSettings() {
+    if (selected_group) return null;
+    return characters?.[this_chid]?.avatar || null;
+}
+
+function normalizeCharacterName(name) {
+    let normalized = String(name ?? '').trim();
+    if (normalized.normalize) {
+        normalized = normalized.normalize('NFC');
+    }
+    return normalized;
+}
+
+function getCharacterLabel(characterId) {
+    return characters?.find(c => c.avatar === characterId)?.name ?? characterId;
+}
+
+/**
+ * Reads and writes one of the settings world-info.js keeps in module variables, without going
+ * through its controls. `refresh` updates the control and its counter when the UI is there.
+ * @param {string} key Name in getWorldInfoSettings()
+ */
+function worldInfoEngineSetting(key) {
     return {
-        world_info_depth: s.world_info_depth,
-        world_info_min_activations: s.world_info_min_activations,
-        world_info_min_activations_depth_max: s.world_info_min_activations_depth_max,
-        world_info_budget: s.world_info_budget,
-        world_info_include_names: s.world_info_include_names,
-        world_info_recursive: s.world_info_recursive,
-        world_info_overflow_alert: s.world_info_overflow_alert,
-        world_info_case_sensitive: s.world_info_case_sensitive,
-        world_info_match_whole_words: s.world_info_match_whole_words,
-        world_info_character_strategy: s.world_info_character_strategy,
-        world_info_budget_cap: s.world_info_budget_cap,
-        world_info_use_group_scoring: s.world_info_use_group_scoring,
-        world_info_max_recursion_steps: s.world_info_max_recursion_steps,
+        get: () => getWorldInfoSettings()[key],
+        set: (value) => updateWorldInfoSettings({ [key]: value }),
+        refresh: (value) => {
+            const control = $(`#${key}`);
+            if (control.is(':checkbox')) {
+                control.prop('checked', Boolean(value));
+            } else {
+                control.val(String(value));
+                $(`#${key}_counter`).val(String(value));
+            }
+        },
     };
 }
 
-function validateSettingsApplied(expectedSettings, logPrefix = 'STWIL') {
-    const currentSettings = snapshotWorldInfoSettings();
+/**
+ * Every World Info engine setting a preset can capture. Snapshot, apply, validation, the preset
+ * tooltip and the inclusion dialog are all driven from this list.
+ * - `key`: name the setting is stored under in a preset
+ * - `type`: 'number', 'boolean', 'select' or 'text', used to compare and edit values
+ * - `category`: group in WORLD_INFO_SETTING_CATEGORIES
+ * - `order`: apply order, lowest first
+ * - `get`, `set`: read and write the engine's value; `refresh` shows a value in the UI, if it's open
+ * - `exclusive`: settings the engine zeroes when this one is set non-zero. Of two exclusive
+ *   settings that are both non-zero, the one applied last wins.
+ * - `options`: choices for a select, as shown in the preset editor
+ */
+const WORLD_INFO_SETTINGS_REGISTRY = [
+    { key: 'world_info_depth', type: 'number', category: 'activation', order: 10, ...worldInfoEngineSetting('world_info_depth') },
+    { key: 'world_info_min_activations_depth_max', type: 'number', category: 'activation', order: 20, ...worldInfoEngineSetting('world_info_min_activations_depth_max') },
+    { key: 'world_info_recursive', type: 'boolean', category: 'activation', order: 30, ...worldInfoEngineSetting('world_info_recursive') },
+    { key: 'world_info_max_recursion_steps', type: 'number', category: 'activation', order: 90, exclusive: ['world_info_min_activations'], ...worldInfoEngineSetting('world_info_max_recursion_steps') },
+    { key: 'world_info_min_activations', type: 'number', category: 'activation', order: 100, exclusive: ['world_info_max_recursion_steps'], ...worldInfoEngineSetting('world_info_min_activations') },
+    { key: 'world_info_budget', type: 'number', category: 'budget', order: 40, ...worldInfoEngineSetting('world_info_budget') },
+    { key: 'world_info_budget_cap', type: 'number', category: 'budget', order: 41, ...worldInfoEngineSetting('world_info_budget_cap') },
+    { key: 'world_info_overflow_alert', type: 'boolean', category: 'budget', order: 42, ...worldInfoEngineSetting('world_info_overflow_alert') },
+    { key: 'world_info_case_sensitive', type: 'boolean', category: 'matching', order: 50, ...worldInfoEngineSetting('world_info_case_sensitive') },
+    { key: 'world_info_match_whole_words', type: 'boolean', category: 'matching', order: 51, ...worldInfoEngineSetting('world_info_match_whole_words') },
+    { key: 'world_info_include_names', type: 'boolean', category: 'matching', order: 52, ...worldInfoEngineSetting('world_info_include_names') },
+    {
+        key: 'world_info_character_strategy', type: 'select', category: 'strategy', order: 60,
+        options: [
+            { value: 0, label: () => translate('Sorted Evenly', 'stwil.settings.option.characterStrategy.evenly') },
+            { value: 1, label: () => translate('Character Lore First', 'stwil.settings.option.characterStrategy.characterFirst') },
+            { value: 2, label: () => translate('Global Lore First', 'stwil.settings.option.characterStrategy.globalFirst') },
+        ],
+        ...worldInfoEngineSetting('world_info_character_strategy'),
+    },
+    { key: 'world_info_use_group_scoring', type: 'boolean', category: 'strategy', order: 61, ...worldInfoEngineSetting('world_info_use_group_scoring') },
+    {
+        // Template each activated entry is wrapped in for chat completion prompts
+        key: 'wi_format', type: 'text', category: 'format', order: 70,
+        get: () => oai_settings.wi_format,
+        set: (value) => { oai_settings.wi_format = String(value); },
+        refresh: (value) => $('#wi_format_textarea').val(String(value)),
+    },
+];
+
+const WORLD_INFO_SETTING_CATEGORIES = {
+    activation: {
+        name: () => translate('Activation Settings', 'stwil.settings.category.activation.name'),
+        description: () => translate('Controls when and how world info entries are activated', 'stwil.settings.category.activation.desc'),
+    },
+    budget: {
+        name: () => translate('Budget & Performance', 'stwil.settings.category.budget.name'),
+        description: () => translate('Controls memory usage and token limits', 'stwil.settings.category.budget.desc'),
+    },
+    matching: {
+        name: () => translate('Text Matching', 'stwil.settings.category.matching.name'),
+        description: () => translate('Controls how keywords are matched in text', 'stwil.settings.category.matching.desc'),
+    },
+    strategy: {
+        name: () => translate('Strategy & Scoring', 'stwil.settings.category.strategy.name'),
+        description: () => translate('Controls activation priority and scoring behavior', 'stwil.settings.category.strategy.desc'),
+    },
+    format: {
+        name: () => translate('Prompt Format', 'stwil.settings.category.format.name'),
+        description: () => translate('Controls how activated entries are written into chat completion prompts', 'stwil.settings.category.format.desc'),
+    },
+};
+
+function getWorldInfoSettingDefinitions() {
+    return [...WORLD_INFO_SETTINGS_REGISTRY].sort((a, b) => a.order - b.order);
+}
+
+function getSelectedBooks() {
+    return world_info.globalSelect ?? selected_world_info ?? [];
+}
+
+function snapshotWorldInfoSettings() {
+    // Only keep the registered settings (and avoid saving the whole world_info object)
+    return Object.fromEntries(getWorldInfoSettingDefinitions().map(def => [def.key, def.get()]));
+}
+
+/**
+ * The values the engine should end up with after applying `opts`: when exclusive settings are
+ * both non-zero, the one applied first is zeroed by the one applied after it.
+ */
+function getExpectedWorldInfoSettings(opts) {
+    const expected = { ...opts };
+    const definitions = getWorldInfoSettingDefinitions();
+    for (const def of definitions) {
+        if (!def.exclusive || !Number(expected[def.key])) continue;
+        for (const otherKey of def.exclusive) {
+            const other = definitions.find(it => it.key === otherKey);
+            if (other && other.order < def.order && Object.prototype.hasOwnProperty.call(expected, otherKey)) {
+                expected[otherKey] = 0;
+            }
+        }
+    }
+    return expected;
+}
+
+/**
+ * Settings whose live value differs from the value applying `expectedSettings` should produce.
+ * @returns {{key: string, expected: any, actual: any, expectedType: string, actualType: string}[]}
+ */
+function findSettingMismatches(expectedSettings, currentSettings = snapshotWorldInfoSettings()) {
+    const definitions = getWorldInfoSettingDefinitions();
     const mismatches = [];
 
-    for (const [key, expectedValue] of Object.entries(expectedSettings)) {
+    for (const [key, expectedValue] of Object.entries(getExpectedWorldInfoSettings(expectedSettings))) {
         const currentValue = currentSettings[key];
+        const type = definitions.find(def => def.key === key)?.type;
 
-        // Handle different types of comparisons
         let matches = false;
-        if (typeof expectedValue === 'boolean' && typeof currentValue === 'boolean') {
-            matches = expectedValue === currentValue;
-        } else if (typeof expectedValue === 'number' && typeof currentValue === 'number') {
-            matches = expectedValue === currentValue;
+        if (type === 'boolean') {
+            matches = Boolean(expectedValue) === currentValue;
+        } else if (type === 'number') {
+            matches = Number(expectedValue) === Number(currentValue);
         } else {
-            // Convert both to strings for comparison
-            matches = String(expectedValue) === String(currentValue);
+            // Selects and settings this SillyTavern version doesn't have
+            matches = currentValue !== undefined && String(expectedValue) === String(currentValue);
         }
 
         if (!matches) {
@@ -182,7 +385,11 @@ function validateSettingsApplied(expectedSettings, logPrefix = 'STWIL') {
             });
         }
     }
+    return mismatches;
+}
 
+function validateSettingsApplied(expectedSettings, logPrefix = 'STWIL') {
+    const mismatches = findSettingMismatches(expectedSettings);
     if (mismatches.length > 0) {
         console.warn(`${logPrefix}: Settings validation failed. Mismatches found:`, mismatches);
         return { success: false, mismatches };
@@ -192,51 +399,38 @@ function validateSettingsApplied(expectedSettings, logPrefix = 'STWIL') {
     return { success: true, mismatches: [] };
 }
 
+/**
+ * Setting keys grouped by category, in apply order. Empty categories are left out.
+ * @returns {Object.<string, {name: string, description: string, settings: string[]}>}
+ */
 function getSettingsCategories() {
-    return {
-        activation: {
-            name: translate('Activation Settings', 'stwil.settings.category.activation.name'),
-            description: translate('Controls when and how world info entries are activated', 'stwil.settings.category.activation.desc'),
-            settings: [
-                'world_info_depth',
-                'world_info_min_activations',
-                'world_info_min_activations_depth_max',
-                'world_info_recursive',
-                'world_info_max_recursion_steps'
-            ]
-        },
-        budget: {
-            name: translate('Budget & Performance', 'stwil.settings.category.budget.name'),
-            description: translate('Controls memory usage and token limits', 'stwil.settings.category.budget.desc'),
-            settings: [
-                'world_info_budget',
-                'world_info_budget_cap',
-                'world_info_overflow_alert'
-            ]
-        },
-        matching: {
-            name: translate('Text Matching', 'stwil.settings.category.matching.name'),
-            description: translate('Controls how keywords are matched in text', 'stwil.settings.category.matching.desc'),
-            settings: [
-                'world_info_case_sensitive',
-                'world_info_match_whole_words',
-                'world_info_include_names'
-            ]
-        },
-        strategy: {
-            name: translate('Strategy & Scoring', 'stwil.settings.category.strategy.name'),
-            description: translate('Controls activation priority and scoring behavior', 'stwil.settings.category.strategy.desc'),
-            settings: [
-                'world_info_character_strategy',
-                'world_info_use_group_scoring'
-            ]
-        }
-    };
+    const definitions = getWorldInfoSettingDefinitions();
+    const categories = {};
+    for (const [catKey, category] of Object.entries(WORLD_INFO_SETTING_CATEGORIES)) {
+        const keys = definitions.filter(def => def.category === catKey).map(def => def.key);
+        if (keys.length === 0) continue;
+        categories[catKey] = {
+            name: category.name(),
+            description: category.description(),
+            settings: keys,
+        };
+    }
+    return categories;
 }
 
 function generatePresetTooltip(preset) {
     const booksList = preset.worldList.join(', ') || translate('None', 'stwil.common.none');
-    let tooltip = tKey('stwil.tooltip.booksList', 'Books: ${0}', booksList);
+    let tooltip = '';
+    if (preset.description) {
+        tooltip += `${preset.description}\n\n`;
+    }
+    if (preset.author) {
+        tooltip += `${tKey('stwil.tooltip.author', 'By ${0}', preset.author)}\n`;
+    }
+    if (preset.updatedAt) {
+        tooltip += `${tKey('stwil.tooltip.updatedAt', 'Updated ${0}', new Date(preset.updatedAt).toLocaleString())}\n`;
+    }
+    tooltip += tKey('stwil.tooltip.booksList', 'Books: ${0}', booksList);
 
     if (preset.worldInfoSettings && Object.keys(preset.worldInfoSettings).length > 0) {
         tooltip += `\n\n${translate('World Info Settings:', 'stwil.tooltip.worldInfoSettings')}`;
@@ -289,12 +483,153 @@ function generatePresetTooltip(preset) {
     return tooltip;
 }
 
+// Preset lookup helpers. Locks and the global default store preset IDs; names are
+// only resolved as a fallback for data written before presets had IDs.
+function findPresetById(id) {
+    if (!id) return undefined;
+    return settings.presetList.find(p => p.id === id);
+}
+
+function findPresetByName(name) {
+    if (!name) return undefined;
+    const exact = settings.presetList.find(p => p.name === name);
+    if (exact) return exact;
+    const lowerName = String(name).toLowerCase();
+    return settings.presetList.find(p => p.name?.toLowerCase() === lowerName);
+}
+
+/**
+ * Resolve a stored preset reference (preset ID, or a legacy preset name) to a preset.
+ * @param {string} ref
+ * @returns {Preset|undefined}
+ */
+function findPreset(ref) {
+    if (!ref) return undefined;
+    return findPresetById(ref)
+        ?? findPresetByName(ref)
+        ?? findPresetById(settings.presetNameAliases?.[ref]);
+}
+
+const PRESET_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Name to show for a preset reference. A lock can outlive its preset, so for a reference that
+ * no longer resolves this falls back to the name in the trash or a former name, and never
+ * shows a bare preset ID.
+ * @param {string|null} ref
+ */
+function getPresetDisplayName(ref) {
+    const preset = findPreset(ref);
+    if (preset) return preset.name;
+    if (!ref) return ref;
+    const deleted = settings.deletedPresets.find(entry => entry.preset.id === ref);
+    if (deleted) return deleted.preset.name;
+    const alias = Object.keys(settings.presetNameAliases).find(name => settings.presetNameAliases[name] === ref);
+    if (alias) return alias;
+    return PRESET_ID_PATTERN.test(ref) ? translate('unknown preset', 'stwil.common.unknownPreset') : ref;
+}
+
+/**
+ * Detached copy of a preset for event payloads and the public API.
+ * @param {Preset|null|undefined} preset
+ */
+function presetToPlain(preset) {
+    return preset ? structuredClone(preset.toJSON()) : null;
+}
+
+function emitStwilEvent(eventType, payload) {
+    // A failing listener in another extension must not break preset switching
+    Promise.resolve(eventSource.emit(eventType, payload))
+        .catch(error => console.error(`STWIL: ${eventType} listener failed`, error));
+}
+
+/**
+ * Emit LOCK_CHANGED if a lock now points at a different preset than before.
+ * @param {'chat'|'character'|'group'|'persona'|'tag'|'globalDefault'} type
+ * @param {string|null} target Chat ID, character avatar, group ID, persona avatar or tag ID; null for the global default
+ * @param {string|null} presetRef New preset reference, null when the lock was removed
+ * @param {string|null} previousRef Preset reference before the change
+ */
+function emitLockChanged(type, target, presetRef, previousRef) {
+    const preset = findPreset(presetRef) ?? null;
+    const previousPreset = findPreset(previousRef) ?? null;
+    // Rewriting a legacy name reference to the same preset's ID is not a change
+    if (preset === previousPreset && !presetRef === !previousRef) return;
+    emitStwilEvent(STWIL_EVENTS.LOCK_CHANGED, {
+        type,
+        target: target ?? null,
+        preset: presetToPlain(preset),
+        previousPreset: presetToPlain(previousPreset),
+    });
+}
+
+function migratePresetIds() {
+    let migrated = 0;
+
+    if (!settings.presetNameAliases) {
+        settings.presetNameAliases = {};
+    }
+
+    for (const preset of settings.presetList) {
+        if (!preset.id) {
+            preset.id = uuidv4();
+            migrated++;
+        }
+    }
+
+    // Rewrite name-keyed references to IDs
+    const toId = (ref) => findPreset(ref)?.id ?? ref;
+    for (const [characterName, ref] of Object.entries(settings.characterLocks)) {
+        const id = toId(ref);
+        if (id !== ref) {
+            settings.characterLocks[characterName] = id;
+            migrated++;
+        }
+    }
+    for (const [groupId, ref] of Object.entries(settings.groupLocks)) {
+        const id = toId(ref);
+        if (id !== ref) {
+            settings.groupLocks[groupId] = id;
+            migrated++;
+        }
+    }
+    if (settings.globalDefaultPreset) {
+        const id = toId(settings.globalDefaultPreset);
+        if (id !== settings.globalDefaultPreset) {
+            settings.globalDefaultPreset = id;
+            migrated++;
+        }
+    }
+
+    if (migrated > 0) {
+        saveSettingsDebounced();
+        console.log(`STWIL: Preset ID migration complete. Updated ${migrated} presets and references`);
+    }
+
+    return migrated;
+}
+
+/**
+ * Chat locks live in each chat's metadata, so they can only be migrated once the chat is loaded.
+ */
+function migrateChatLockToPresetId() {
+    const ref = chat_metadata?.worldInfoPresetLock;
+    if (!ref || findPresetById(ref)) return;
+
+    const preset = findPreset(ref);
+    if (preset) {
+        console.log(`STWIL: Migrated chat lock "${ref}" to preset ID "${preset.id}"`);
+        setChatLock(preset.id);
+    }
+}
+
 function migratePresetsToIncludeSettings() {
     let migrated = 0;
     const currentSettings = snapshotWorldInfoSettings();
 
     for (const preset of settings.presetList) {
-        if (!preset.worldInfoSettings) {
+        // null means "books only"; only presets saved before settings existed lack the field
+        if (preset.worldInfoSettings === undefined) {
             // Use current global settings as default for legacy presets
             preset.worldInfoSettings = currentSettings;
             migrated++;
@@ -372,6 +707,111 @@ function migrateGroupLocksFromCharacterLocks() {
     return migrated;
 }
 
+async function showDuplicateCharacterDialog(characterName, presetRef, candidates) {
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${translate('Duplicate Character Names', 'stwil.dialog.duplicateCharacters.title')}</h3>
+        <p>${tKey('stwil.dialog.duplicateCharacters.body', 'Several character cards are named "${0}". Its lock to preset "${1}" was saved by name. Choose which cards should keep the lock:', escapeHtml(characterName), escapeHtml(getPresetDisplayName(presetRef)))}</p>
+        <div>
+            ${candidates.map(character => `
+                <label class="checkbox_label">
+                    <input type="checkbox" class="duplicateCharacterCheckbox" data-avatar="${escapeHtml(character.avatar)}" checked>
+                    <span>${escapeHtml(character.name)} <small style="color: var(--grey50);">(${escapeHtml(character.avatar)})</small></span>
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    const result = await callPopup(content, 'confirm');
+    if (!result) return null;
+
+    return Array.from(content.querySelectorAll('.duplicateCharacterCheckbox:checked')).map(cb => cb.dataset.avatar);
+}
+
+function migrateLockPriority() {
+    if (settings.lockPriority) {
+        const normalized = getLockPriority();
+        if (normalized.join() !== settings.lockPriority.join()) {
+            settings.lockPriority = normalized;
+            saveSettingsDebounced();
+        }
+        return 0;
+    }
+
+    // Replaces the old "prefer chat locks over character/group locks" toggle
+    const preferChat = !!settings.preferChatOverCharacterLocks;
+    settings.lockPriority = preferChat
+        ? ['chat', ...DEFAULT_LOCK_PRIORITY.filter(id => id !== 'chat')]
+        : [...DEFAULT_LOCK_PRIORITY];
+    delete settings.preferChatOverCharacterLocks;
+    saveSettingsDebounced();
+    console.log(`STWIL: Migrated lock priority (prefer chat locks: ${preferChat}):`, settings.lockPriority);
+
+    return 1;
+}
+
+let characterLockMigrationRunning = false;
+
+async function migrateCharacterLocksToAvatars() {
+    // Character data isn't available until SillyTavern has loaded the character list
+    if (!characters?.length || !settings.characterLocks || characterLockMigrationRunning) {
+        return 0;
+    }
+
+    characterLockMigrationRunning = true;
+    try {
+        return await migrateCharacterLockKeys();
+    } finally {
+        characterLockMigrationRunning = false;
+    }
+}
+
+async function migrateCharacterLockKeys() {
+    let migrated = 0;
+    const avatars = new Set(characters.map(c => c.avatar));
+
+    for (const [lockKey, presetRef] of Object.entries(settings.characterLocks)) {
+        if (avatars.has(lockKey)) continue; // Already keyed by avatar
+
+        const lockName = normalizeCharacterName(lockKey);
+        const matches = characters.filter(c => normalizeCharacterName(c.name) === lockName);
+        if (matches.length === 0) continue; // Card not present on this install, keep the lock as-is
+
+        let targetAvatars = [matches[0].avatar];
+        if (matches.length > 1) {
+            targetAvatars = await showDuplicateCharacterDialog(lockName, presetRef, matches);
+            if (!targetAvatars) continue; // Ask again next time
+        }
+
+        for (const avatar of targetAvatars) {
+            // Don't overwrite a lock that was already set on the card itself
+            if (!settings.characterLocks[avatar]) {
+                settings.characterLocks[avatar] = presetRef;
+            }
+        }
+        delete settings.characterLocks[lockKey];
+
+        migrated++;
+        console.log(`STWIL: Migrated character lock from name "${lockName}" to avatar(s):`, targetAvatars);
+    }
+
+    if (migrated > 0) {
+        saveSettingsDebounced();
+        clearContextCache();
+        updateLockButton();
+        console.log(`STWIL: Character lock migration complete. Migrated ${migrated} character locks to avatar keys`);
+
+        if (settings.showLockNotifications) {
+            toastr.info(
+                tKey('stwil.toast.migratedCharacterLocks', 'Migrated ${0} character locks to use character cards instead of names', migrated),
+                translate('World Info Presets', 'stwil.title')
+            );
+        }
+    }
+
+    return migrated;
+}
+
 // Cache helper functions
 function clearContextCache() {
     cachedContext = null;
@@ -392,9 +832,12 @@ function getCurrentContext() {
     clearContextCache();
     const isGroupChat = !!selected_group;
     let characterName = null;
+    let characterId = null;
     let groupId = null;
     let groupName = null;
-    let chatId = chat_metadata?.file_name || null;
+    const chatId = getCurrentChatId() || null;
+    const personaId = user_avatar || null;
+    const personaName = personaId ? (power_user.personas?.[personaId] || personaId) : null;
 
     if (isGroupChat) {
         // For group chats, get group-specific information
@@ -402,22 +845,24 @@ function getCurrentContext() {
         const group = groups?.find(x => x.id === groupId);
         if (group) {
             groupName = group.name;
-            // Use group's chat_id if available, fallback to metadata file_name
-            chatId = group.chat_id || chatId;
         }
         // Don't set characterName for groups
     } else {
-        // For single character chats, get character name
+        // For single character chats, get the card's avatar and display name
+        characterId = getCharacterIdForSettings();
         characterName = getCharacterNameForSettings();
     }
     
     // Cache the new context
     cachedContext = {
+        characterId,
         characterName,
         chatId,
         isGroupChat,
         groupId,
-        groupName
+        groupName,
+        personaId,
+        personaName
     };
     cacheTimestamp = Date.now();
     
@@ -428,31 +873,186 @@ function getChatLock() {
     return chat_metadata?.worldInfoPresetLock || null;
 }
 
-function setChatLock(presetName) {
+function setChatLock(presetId) {
     if (!chat_metadata) {
         window.chat_metadata = {};
     }
-    if (presetName) {
-        chat_metadata.worldInfoPresetLock = presetName;
+    const previous = getChatLock();
+    if (presetId) {
+        chat_metadata.worldInfoPresetLock = presetId;
     } else {
         delete chat_metadata.worldInfoPresetLock;
     }
     saveMetadataDebounced();
+    const context = getCurrentContext();
+    indexChatLock(context, presetId);
+    emitLockChanged('chat', context.chatId, presetId, previous);
+}
+
+/**
+ * @typedef {{presetId: string, characterId: string|null, groupId: string|null}} ChatLockIndexEntry
+ */
+
+/**
+ * Remember which chat is locked to which preset, so exports can include the locks of chats
+ * that aren't open. The lock itself stays in the chat's metadata.
+ * @param {ReturnType<typeof getCurrentContext>} context
+ * @param {string|null} presetId
+ */
+function indexChatLock(context, presetId) {
+    if (!context.chatId) return;
+    if (presetId) {
+        settings.chatLockIndex[context.chatId] = { presetId, characterId: context.characterId, groupId: context.groupId };
+    } else {
+        delete settings.chatLockIndex[context.chatId];
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * On opening a chat: apply an imported lock waiting for it, and bring the index in line with
+ * the chat's own lock (set before the index existed, or changed on another device).
+ */
+function syncChatLock() {
+    const context = getCurrentContext();
+    if (!context.chatId) return;
+
+    const pendingRef = settings.pendingChatLocks[context.chatId];
+    if (pendingRef) {
+        delete settings.pendingChatLocks[context.chatId];
+        saveSettingsDebounced();
+        const preset = findPreset(pendingRef);
+        if (preset) {
+            setChatLock(preset.id);
+            return;
+        }
+    }
+
+    const lock = getChatLock();
+    const indexed = settings.chatLockIndex[context.chatId]?.presetId ?? null;
+    if (lock && findPreset(lock) && lock !== indexed) {
+        indexChatLock(context, lock);
+    } else if (!lock && indexed) {
+        indexChatLock(context, null);
+    }
+}
+
+/**
+ * The chats of a character card, as listed by the server.
+ * The server answers `{error: true}` both for a card without a chat folder and for a failure,
+ * so an error is only taken as "no chats" when the chat search finds none either.
+ * @param {string} avatar
+ * @param {boolean} withMetadata Include each chat's metadata (the server reads every file)
+ * @returns {Promise<{file_name: string, chat_metadata?: Object}[]>} Throws if the chats couldn't be listed
+ */
+async function fetchCharacterChats(avatar, withMetadata) {
+    const post = async (url, body) => {
+        const result = await fetch(url, { method: 'POST', headers: getRequestHeaders(), body: JSON.stringify(body) });
+        if (!result.ok) throw new Error(`${url}: ${result.status} ${result.statusText}`);
+        return result.json();
+    };
+    const data = await post('/api/characters/chats', withMetadata ? { avatar_url: avatar, metadata: true } : { avatar_url: avatar, simple: true });
+    if (!data.error) return Object.values(data);
+    const found = await post('/api/chats/search', { avatar_url: avatar, query: '' });
+    if (Array.isArray(found) && found.length === 0) return [];
+    throw new Error(`Listing the chats of "${avatar}" failed`);
+}
+
+/**
+ * Fill the chat lock index from the metadata of every character chat, once, so chats locked
+ * before the index existed and not opened since are exported too. Characters whose chats can't
+ * be read are tried again next time. Group chats would have to be downloaded in full to read
+ * their metadata, so they are only indexed when opened.
+ * @returns {Promise<boolean>} false if some chats couldn't be read
+ */
+async function scanChatLocks() {
+    if (settings.chatLocksScanned) return true;
+    toastr.info(translate('Looking for chat locks in all chats...', 'stwil.toast.scanningChatLocks'), translate('World Info Presets', 'stwil.title'));
+
+    let complete = true;
+    const addLock = (chatId, ref, characterId, groupId) => {
+        const preset = findPreset(ref);
+        if (!preset || settings.chatLockIndex[chatId]) return;
+        settings.chatLockIndex[chatId] = { presetId: preset.id, characterId, groupId };
+    };
+
+    for (const character of characters ?? []) {
+        try {
+            for (const chat of await fetchCharacterChats(character.avatar, true)) {
+                addLock(String(chat.file_name).replace(/\.jsonl$/, ''), chat.chat_metadata?.worldInfoPresetLock, character.avatar, null);
+            }
+        } catch (error) {
+            console.warn(`STWIL: Could not read the chats of "${character.name}" for chat locks`, error);
+            complete = false;
+        }
+    }
+
+    settings.chatLocksScanned = complete;
+    saveSettingsDebounced();
+    if (!complete) {
+        toastr.warning(translate("Some chats couldn't be read, so their chat locks may be missing. Check the browser console for details.", 'stwil.toast.chatLockScanIncomplete'));
+    }
+    return complete;
+}
+
+/**
+ * Lock a chat that may not be open: the open chat right away, any other chat when it is next opened.
+ * @param {string} chatId
+ * @param {string} presetId
+ * @returns {boolean} true if the lock was set now, false if it waits for the chat to be opened
+ */
+function lockChatById(chatId, presetId) {
+    if (chatId === getCurrentContext().chatId) {
+        setChatLock(presetId);
+        return true;
+    }
+    settings.pendingChatLocks[chatId] = presetId;
+    saveSettingsDebounced();
+    return false;
+}
+
+/**
+ * Preset a chat is locked to, as far as this install knows without opening it.
+ * @param {string} chatId
+ */
+function getChatLockById(chatId) {
+    if (chatId === getCurrentContext().chatId) return getChatLock();
+    return settings.pendingChatLocks[chatId] ?? settings.chatLockIndex[chatId]?.presetId ?? null;
+}
+
+/**
+ * Whether a legacy name-keyed lock can only mean one card here. With several cards of that name
+ * it waits for the migration dialog to say which of them it belongs to.
+ * @param {string|null} characterName
+ */
+function isUniqueCharacterName(characterName) {
+    if (!characterName) return false;
+    const name = normalizeCharacterName(characterName);
+    return (characters ?? []).filter(c => normalizeCharacterName(c.name) === name).length === 1;
 }
 
-function getCharacterLock(characterName) {
-    if (!characterName) return null;
-    return settings.characterLocks[characterName] || null;
+function getCharacterLock(characterId, characterName = null) {
+    if (!characterId) return null;
+    // Fall back to a name-keyed lock that has not been migrated yet
+    return settings.characterLocks[characterId]
+        || (isUniqueCharacterName(characterName) ? settings.characterLocks[characterName] : null)
+        || null;
 }
 
-function setCharacterLock(characterName, presetName) {
-    if (!characterName) return;
-    if (presetName) {
-        settings.characterLocks[characterName] = presetName;
+function setCharacterLock(characterId, presetId, characterName = null) {
+    if (!characterId) return;
+    const previous = getCharacterLock(characterId, characterName);
+    if (presetId) {
+        settings.characterLocks[characterId] = presetId;
     } else {
+        delete settings.characterLocks[characterId];
+    }
+    // Once the only card of that name has its own lock, the legacy name-keyed one is obsolete
+    if (isUniqueCharacterName(characterName) && characterName !== characterId) {
         delete settings.characterLocks[characterName];
     }
     saveSettingsDebounced();
+    emitLockChanged('character', characterId, presetId, previous);
 }
 
 function getGroupLock(groupId) {
@@ -460,48 +1060,284 @@ function getGroupLock(groupId) {
     return settings.groupLocks[groupId] || null;
 }
 
-function setGroupLock(groupId, presetName) {
+function setGroupLock(groupId, presetId) {
     if (!groupId) return;
-    if (presetName) {
-        settings.groupLocks[groupId] = presetName;
+    const previous = getGroupLock(groupId);
+    if (presetId) {
+        settings.groupLocks[groupId] = presetId;
     } else {
         delete settings.groupLocks[groupId];
     }
     saveSettingsDebounced();
+    emitLockChanged('group', groupId, presetId, previous);
 }
 
-function getLockForContext() {
-    const context = getCurrentContext();
-    const chatLock = settings.enableChatLocks ? getChatLock() : null;
+function getPersonaLock(personaId) {
+    if (!personaId) return null;
+    return settings.personaLocks[personaId] || null;
+}
 
-    let contextLock = null;
-    if (context.isGroupChat) {
-        contextLock = settings.enableGroupLocks ? getGroupLock(context.groupId) : null;
+function setPersonaLock(personaId, presetId) {
+    if (!personaId) return;
+    const previous = getPersonaLock(personaId);
+    if (presetId) {
+        settings.personaLocks[personaId] = presetId;
     } else {
-        contextLock = settings.enableCharacterLocks ? getCharacterLock(context.characterName) : null;
+        delete settings.personaLocks[personaId];
     }
+    saveSettingsDebounced();
+    emitLockChanged('persona', personaId, presetId, previous);
+}
 
-    if (settings.preferChatOverCharacterLocks) {
-        return chatLock || contextLock;
-    } else {
-        return contextLock || chatLock;
-    }
+function getTagName(tagId) {
+    return tags?.find(t => t.id === tagId)?.name ?? tagId;
 }
 
-function getEffectivePreset() {
-    // Priority: specific lock > current selection > global default
-    const lock = getLockForContext();
-    if (lock) {
-        return settings.presetList.find(p => p.name === lock);
-    }
-    
-    if (settings.presetName) {
-        return settings.preset;
-    }
-    
-    // Fall back to global default if no preset is selected and no locks
-    if (settings.globalDefaultPreset) {
-        return settings.presetList.find(p => p.name === settings.globalDefaultPreset);
+/**
+ * Find the tag lock that applies to a character or group.
+ * When several of its tags are mapped, the tag highest in `tagLockOrder` wins;
+ * mapped tags missing from that list follow in alphabetical order.
+ * @param {string} entityKey Character avatar or group ID
+ * @returns {{tagId: string, presetId: string}|null}
+ */
+function getTagLock(entityKey) {
+    if (!entityKey) return null;
+    const mappedTags = (tag_map?.[entityKey] ?? []).filter(tagId => settings.tagLocks[tagId]);
+    if (mappedTags.length === 0) return null;
+
+    const rank = (tagId) => {
+        const index = settings.tagLockOrder.indexOf(tagId);
+        return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+    };
+    mappedTags.sort((a, b) => rank(a) - rank(b) || getTagName(a).localeCompare(getTagName(b)));
+
+    return { tagId: mappedTags[0], presetId: settings.tagLocks[mappedTags[0]] };
+}
+
+function getOrderedTagLockIds() {
+    const ordered = settings.tagLockOrder.filter(tagId => settings.tagLocks[tagId]);
+    const unordered = Object.keys(settings.tagLocks)
+        .filter(tagId => !ordered.includes(tagId))
+        .sort((a, b) => getTagName(a).localeCompare(getTagName(b)));
+    return [...ordered, ...unordered];
+}
+
+function getContextTagLock(context) {
+    return getTagLock(context.isGroupChat ? context.groupId : context.characterId);
+}
+
+/**
+ * Lock sources, keyed by the ID stored in `settings.lockPriority`.
+ * `getLock` returns the preset reference the source locks the given context to, if any,
+ * and `describe` names what the lock is attached to (character, chat, tag...) for the resolution trace.
+ */
+const LOCK_SOURCES = {
+    character: {
+        label: () => translate('Character lock', 'stwil.lockSource.character'),
+        isEnabled: () => settings.enableCharacterLocks,
+        getLock: (context) => context.isGroupChat ? null : getCharacterLock(context.characterId, context.characterName),
+        describe: (context) => context.characterName,
+    },
+    group: {
+        label: () => translate('Group lock', 'stwil.lockSource.group'),
+        isEnabled: () => settings.enableGroupLocks,
+        getLock: (context) => context.isGroupChat ? getGroupLock(context.groupId) : null,
+        describe: (context) => context.groupName,
+    },
+    chat: {
+        label: () => translate('Chat lock', 'stwil.lockSource.chat'),
+        isEnabled: () => settings.enableChatLocks,
+        getLock: () => getChatLock(),
+        describe: (context) => context.chatId,
+    },
+    persona: {
+        label: () => translate('Persona lock', 'stwil.lockSource.persona'),
+        isEnabled: () => settings.enablePersonaLocks,
+        getLock: (context) => getPersonaLock(context.personaId),
+        describe: (context) => context.personaName,
+    },
+    tag: {
+        label: () => translate('Tag lock', 'stwil.lockSource.tag'),
+        isEnabled: () => settings.enableTagLocks,
+        getLock: (context) => getContextTagLock(context)?.presetId ?? null,
+        describe: (context) => {
+            const tagLock = getContextTagLock(context);
+            return tagLock ? getTagName(tagLock.tagId) : null;
+        },
+    },
+    globalDefault: {
+        label: () => translate('Global default', 'stwil.lockSource.globalDefault'),
+        isEnabled: () => true,
+        getLock: () => settings.globalDefaultPreset || null,
+        describe: () => null,
+    },
+};
+
+/**
+ * The lock priority list with unknown sources dropped and any source added since it was
+ * saved inserted ahead of the global default.
+ * @returns {string[]}
+ */
+function getLockPriority() {
+    // The global default is the fallback for when no lock applies, so it is always last
+    const priority = (settings.lockPriority ?? []).filter(id => LOCK_SOURCES[id] && id !== 'globalDefault');
+    for (const id of DEFAULT_LOCK_PRIORITY) {
+        if (id !== 'globalDefault' && !priority.includes(id)) {
+            priority.push(id);
+        }
+    }
+    return [...priority, 'globalDefault'];
+}
+
+// Recent lock resolutions, newest first, shown in the resolution trace dialog
+const resolutionLog = [];
+const RESOLUTION_LOG_LIMIT = 25;
+
+/**
+ * Explain how the preset for a context is chosen: every lock source in priority order with its
+ * value and whether it is enabled, followed by the manual selection, and which candidate wins and why.
+ * A winner whose preset no longer exists is still the winner; nothing is applied in that case.
+ */
+function traceResolution(context = getCurrentContext()) {
+    const candidates = [];
+    let winner = null;
+
+    const evaluate = (candidate, winnerReason) => {
+        if (!candidate.presetRef) {
+            candidate.status = 'empty';
+            candidate.reason = translate('Nothing set for this context', 'stwil.trace.reason.empty');
+        } else if (!candidate.enabled) {
+            candidate.status = 'disabled';
+            candidate.reason = translate('Disabled in settings', 'stwil.trace.reason.disabled');
+        } else if (winner) {
+            candidate.status = 'overridden';
+            candidate.reason = tKey('stwil.trace.reason.overridden', 'Overridden by higher-priority ${0}', winner.label);
+        } else if (!candidate.presetName) {
+            candidate.status = 'missing';
+            candidate.reason = translate('Preset not found, so nothing is applied', 'stwil.trace.reason.missing');
+            winner = candidate;
+        } else {
+            candidate.status = 'winner';
+            candidate.reason = winnerReason;
+            winner = candidate;
+        }
+        candidates.push(candidate);
+    };
+
+    for (const source of getLockPriority()) {
+        const lockSource = LOCK_SOURCES[source];
+        const presetRef = lockSource.getLock(context);
+        evaluate({
+            source,
+            label: lockSource.label(),
+            target: lockSource.describe(context) ?? null,
+            presetRef,
+            presetName: findPreset(presetRef)?.name ?? null,
+            enabled: !!lockSource.isEnabled(),
+        }, source === 'globalDefault'
+            ? translate('No enabled lock applies, so the global default is used', 'stwil.trace.reason.globalDefault')
+            : translate('Highest-priority enabled source with a preset', 'stwil.trace.reason.lock'));
+    }
+
+    // The manual selection is only kept when nothing in the priority list applies
+    evaluate({
+        source: 'manual',
+        label: translate('Manual selection', 'stwil.lockSource.manual'),
+        target: null,
+        presetRef: settings.preset?.id ?? null,
+        presetName: settings.preset?.name ?? null,
+        enabled: true,
+    }, translate('No lock or global default applies, so the current selection is kept', 'stwil.trace.reason.manual'));
+
+    return {
+        timestamp: Date.now(),
+        context: {
+            characterName: context.characterName,
+            groupName: context.groupName,
+            chatId: context.chatId,
+            personaName: context.personaName,
+        },
+        candidates,
+        winner,
+    };
+}
+
+/**
+ * Keep a structured record of a resolution so lock surprises can be debugged from the UI.
+ * @param {ReturnType<traceResolution>} trace
+ * @param {string} trigger What started the resolution (chat change, settings change...)
+ * @param {'applied'|'missing'|'kept'|'timeout'|'superseded'|'rolledBack'|'cancelled'} outcome
+ */
+function logResolution(trace, trigger, outcome) {
+    const entry = { ...trace, trigger, outcome };
+    resolutionLog.unshift(entry);
+    resolutionLog.splice(RESOLUTION_LOG_LIMIT);
+    console.log('STWIL: Preset resolution', entry);
+    return entry;
+}
+
+/**
+ * The winning lock source for the context, including the global default.
+ * @returns {{source: string, presetRef: string}|null}
+ */
+function resolveLock(context = getCurrentContext()) {
+    const winner = traceResolution(context).winner;
+    if (!winner || winner.source === 'manual') return null;
+    return { source: winner.source, presetRef: winner.presetRef };
+}
+
+/**
+ * Set or clear one kind of lock for the current context.
+ * @param {'chat'|'character'|'group'|'persona'} type
+ * @param {string|null} presetId Preset to lock to, or null to remove the lock
+ * @returns {boolean} false if the current context has nothing of that kind to lock
+ */
+function setContextLock(type, presetId) {
+    const context = getCurrentContext();
+    switch (type) {
+        case 'chat':
+            setChatLock(presetId);
+            break;
+        case 'character':
+            if (!context.characterId) return false;
+            setCharacterLock(context.characterId, presetId, context.characterName);
+            break;
+        case 'group':
+            if (!context.groupId) return false;
+            setGroupLock(context.groupId, presetId);
+            break;
+        case 'persona':
+            if (!context.personaId) return false;
+            setPersonaLock(context.personaId, presetId);
+            break;
+        default:
+            return false;
+    }
+    updateLockButton();
+    return true;
+}
+
+function getLockForContext() {
+    const lock = resolveLock();
+    // The global default is a fallback, not a lock
+    if (!lock || lock.source === 'globalDefault') return null;
+    return lock.presetRef;
+}
+
+function getEffectivePreset() {
+    // Priority: specific lock > current selection > global default
+    const lock = getLockForContext();
+    if (lock) {
+        return findPreset(lock);
+    }
+    
+    if (settings.presetName) {
+        return settings.preset;
+    }
+    
+    // Fall back to global default if no preset is selected and no locks
+    if (settings.globalDefaultPreset) {
+        return findPreset(settings.globalDefaultPreset);
     }
     
     return null;
@@ -509,64 +1345,146 @@ function getEffectivePreset() {
 
 function hasAnyLocks() {
     const context = getCurrentContext();
-    const chatLock = settings.enableChatLocks ? getChatLock() : null;
+    return getLockPriority().some(source => source !== 'globalDefault'
+        && LOCK_SOURCES[source].isEnabled()
+        && !!LOCK_SOURCES[source].getLock(context));
+}
 
-    if (context.isGroupChat) {
-        const groupLock = settings.enableGroupLocks ? getGroupLock(context.groupId) : null;
-        return !!(chatLock || groupLock);
-    } else {
-        const characterLock = settings.enableCharacterLocks ? getCharacterLock(context.characterName) : null;
-        return !!(chatLock || characterLock);
+// Every preset switch, manual or lock-driven, runs through one queue. Each request gets a
+// generation number; a newer request supersedes older ones, so queued requests are skipped
+// and an in-flight one stops between books. The latest request always decides the final state.
+let activationQueue = Promise.resolve();
+let activationGeneration = 0;
+let pendingActivation = null; // newest queued request that has not started yet
+let activationRunning = false;
+let lockCheckTimer = null;
+
+function isActivationCurrent(generation) {
+    return generation === activationGeneration;
+}
+
+/**
+ * Queue a preset switch behind the running one.
+ * A request for the same target as the newest queued one collapses into it.
+ * @param {string} key Identifies the target, e.g. a preset ID or 'lockCheck'
+ * @param {(generation: number) => Promise<any>} task
+ * @returns {Promise<any>} The task's result, 'superseded' if it was skipped; rejects if the task failed
+ */
+function enqueueActivation(key, task) {
+    if (pendingActivation?.key === key && isActivationCurrent(pendingActivation.generation)) {
+        return pendingActivation.promise;
     }
+    const entry = { key, generation: ++activationGeneration };
+    entry.promise = activationQueue.then(async () => {
+        if (pendingActivation === entry) pendingActivation = null;
+        if (!isActivationCurrent(entry.generation)) {
+            console.log('STWIL: Skipping superseded preset activation', key);
+            return 'superseded';
+        }
+        activationRunning = true;
+        try {
+            return await task(entry.generation);
+        } finally {
+            activationRunning = false;
+            updateDirtyIndicator();
+        }
+    });
+    pendingActivation = entry;
+    // A failed switch must not stall the ones queued after it; the caller still gets the error
+    activationQueue = entry.promise.catch(error => console.error('STWIL: Preset activation failed', error));
+    return entry.promise;
+}
+
+/**
+ * Tell the user a preset switch failed. For switches started from the UI or a timer, where
+ * nobody else would see the rejection.
+ * @param {any} error
+ */
+function reportActivationFailure(error) {
+    console.error('STWIL: Preset activation failed', error);
+    toastr.error(
+        tKey('stwil.toast.activationFailed', 'Failed to switch presets:\n\n${0}', escapeHtml(error?.message ?? String(error))),
+        translate('World Info Presets', 'stwil.title')
+    );
+}
+
+/**
+ * Re-resolve locks after a context change. The change supersedes any activation still
+ * running for the old context right away; bursts of events (chat changed, then chat
+ * loaded) collapse into one check once the context has settled.
+ * @param {string} trigger
+ * @param {number} [delay] ms to wait for the context to settle
+ */
+function scheduleLockCheck(trigger, delay = 100) {
+    activationGeneration++;
+    clearTimeout(lockCheckTimer);
+    lockCheckTimer = setTimeout(() => {
+        lockCheckTimer = null;
+        enqueueActivation('lockCheck', (generation) => checkAndApplyLocks(trigger, generation)).catch(reportActivationFailure);
+    }, delay);
 }
 
-async function checkAndApplyLocks() {
+/**
+ * Apply the preset the current context resolves to. Runs inside the activation queue.
+ * @param {string} trigger
+ * @param {number} generation Queue generation this check belongs to
+ */
+async function checkAndApplyLocks(trigger = 'manual', generation = activationGeneration) {
     // Add robustness for cases where character data isn't loaded yet
     let attempts = 0;
     const maxAttempts = 10;
+    let trace = null;
     
     console.log('STWIL: Current settings.presetName:', settings.presetName);
     console.log('STWIL: Global default preset:', settings.globalDefaultPreset);
     
     while (attempts < maxAttempts) {
-        const lockedPreset = getLockForContext();
-        console.log('STWIL: Locked preset for context:', lockedPreset);
+        trace = traceResolution();
+        const winner = trace.winner;
+        const isLock = winner && winner.source !== 'globalDefault' && winner.source !== 'manual';
+        console.log('STWIL: Locked preset for context:', isLock ? winner.presetRef : null, winner?.source);
         
-        if (lockedPreset) {
-            const preset = settings.presetList.find(p => p.name === lockedPreset);
+        if (isLock) {
+            const preset = findPreset(winner.presetRef);
             if (preset) {
-                await activatePreset(preset);
+                const status = await applyPreset(preset, false, winner.source, generation);
+                logResolution(trace, trigger, status);
+                if (status !== 'applied') return;
                 if (settings.showLockNotifications) {
-                    const context = getCurrentContext();
-                    let lockType = 'character';
-                    if (getChatLock()) {
-                        lockType = 'chat';
-                    } else if (context.isGroupChat) {
-                        lockType = 'group';
+                    let lockType = translate(winner.source, `stwil.lock.${winner.source}`);
+                    if (winner.source === 'tag') {
+                        lockType += ` "${escapeHtml(winner.target)}"`;
                     }
                     toastr.info(
-                        tKey('stwil.toast.appliedLockedPreset', 'Applied locked preset "${0}" for ${1}', escapeHtml(lockedPreset), lockType),
+                        tKey('stwil.toast.appliedLockedPreset', 'Applied locked preset "${0}" for ${1}', escapeHtml(preset.name), lockType),
                         translate('World Info Presets', 'stwil.title')
                     );
                 }
                 return; // Success
-            } else if (settings.showLockNotifications) {
+            }
+
+            logResolution(trace, trigger, 'missing');
+            if (settings.showLockNotifications) {
                 toastr.warning(
-                    tKey('stwil.toast.lockedPresetNotFound', 'Locked preset "${0}" not found', escapeHtml(lockedPreset)),
+                    tKey('stwil.toast.lockedPresetNotFound', 'Locked preset "${0}" not found', escapeHtml(getPresetDisplayName(winner.presetRef))),
                     translate('World Info Presets', 'stwil.title')
                 );
-                return; // Preset not found, don't retry
             }
+            return; // Preset not found, don't retry
         }
         
         // If we reach here, either no lock or character data not ready
         const context = getCurrentContext();
         
-        if (!context.characterName && !context.chatId) {
+        if (!context.characterId && !context.characterName && !context.chatId) {
             console.log('STWIL: Character/chat data not ready, waiting... attempt', attempts + 1);
             // Wait a bit for data to load
             await new Promise(resolve => setTimeout(resolve, 100));
             attempts++;
+            if (!isActivationCurrent(generation)) {
+                logResolution(trace, trigger, 'superseded');
+                return;
+            }
             continue;
         }
         
@@ -574,236 +1492,754 @@ async function checkAndApplyLocks() {
         console.log('STWIL: No locks found for this character. Checking if global default should apply.');
         console.log('STWIL: Current presetName:', settings.presetName, 'globalDefault:', settings.globalDefaultPreset);
         
-        if (settings.globalDefaultPreset) {
-            const defaultPreset = settings.presetList.find(p => p.name === settings.globalDefaultPreset);
+        if (winner?.source === 'globalDefault') {
+            const defaultPreset = findPreset(winner.presetRef);
             console.log('STWIL: Found default preset:', defaultPreset?.name);
             
             if (defaultPreset) {
                 console.log('STWIL: Applying global default preset for unlocked character:', settings.globalDefaultPreset);
-                await activatePreset(defaultPreset);
+                const status = await applyPreset(defaultPreset, false, 'globalDefault', generation);
+                logResolution(trace, trigger, status);
+                if (status !== 'applied') return;
                 if (settings.showLockNotifications) {
                     toastr.info(
-                        tKey('stwil.toast.appliedGlobalDefaultForUnlocked', 'Applied global default preset "${0}" for unlocked character', escapeHtml(settings.globalDefaultPreset)),
+                        tKey('stwil.toast.appliedGlobalDefaultForUnlocked', 'Applied global default preset "${0}" for unlocked character', escapeHtml(defaultPreset.name)),
                         translate('World Info Presets', 'stwil.title')
                     );
                 }
                 return;
             } else {
                 console.log('STWIL: Global default preset not found in preset list');
+                logResolution(trace, trigger, 'missing');
+                return;
             }
         } else {
             console.log('STWIL: No global default configured');
         }
         
+        logResolution(trace, trigger, 'kept');
         break;
     }
     
     if (attempts >= maxAttempts) {
         console.warn('STWIL: Timed out waiting for character/chat data to load for lock check');
+        logResolution(trace, trigger, 'timeout');
     }
 }
 
-const activatePresetByName = async(name)=>{
-    const preset = settings.presetList.find(it=>it.name.toLowerCase() == name.toLowerCase());
-    if (!preset) {
-        toastr.warning(tKey('stwil.toast.presetNotFound', 'Preset "${0}" not found', escapeHtml(name)));
-        return;
-    }
-    await activatePreset(preset);
+/**
+ * Queue a preset switch. Resolves once it has been applied or superseded by a newer one, and
+ * rejects if applying it failed.
+ * @param {Preset|null} preset Preset to activate, or null to unload all books
+ * @param {boolean} [skipLockCheck] Don't offer to move the current context's locks to the new preset
+ * @param {string} [source] What asked for the switch, passed on in PRESET_ACTIVATED: 'manual', 'command', 'api' or the winning lock source
+ * @returns {Promise<'applied'|'superseded'|'rolledBack'|'cancelled'>}
+ */
+export const activatePreset = (preset, skipLockCheck = false, source = 'manual')=>{
+    return enqueueActivation(`preset:${preset?.id ?? ''}`, (generation) => applyPreset(preset, skipLockCheck, source, generation));
 };
 
-export const activatePreset = async(preset, skipLockCheck = false)=>{
+/**
+ * Switch books and settings to a preset. Only call this from inside the activation queue.
+ * The switch is all or nothing: if a book or setting can't be applied, the user either keeps
+ * the partial result or rolls back to the books and settings from before the switch.
+ * @returns {Promise<'applied'|'superseded'|'rolledBack'|'cancelled'>}
+ */
+const applyPreset = async(preset, skipLockCheck, source, generation)=>{
+    const previousPreset = presetToPlain(settings.preset);
+    // Only switches the user asked for may ask questions; lock, default and API switches must not block on a dialog
+    const userRequested = source === 'manual' || source === 'command';
+
+    // Applying any preset, the active one included, throws away changes made since it was applied
+    if (appReady && settings.preset) {
+        const drift = getPresetDrift(settings.preset);
+        if (drift && !await resolveUnsavedChanges(settings.preset, drift)) {
+            updateSelect();
+            return 'cancelled';
+        }
+    }
+
     // Check if we're changing presets in a locked context
+    // Only the lock that won resolution is offered; tag locks are managed in the settings
     if (!skipLockCheck && hasAnyLocks()) {
-        const currentLock = getLockForContext();
-        if (currentLock && preset?.name !== currentLock) {
+        const currentLock = resolveLock();
+        if (currentLock && LOCK_TYPES.includes(currentLock.source) && (!preset || findPreset(currentLock.presetRef) !== preset)) {
             const newName = preset?.name || translate('None', 'stwil.common.none');
+            const lockSource = LOCK_SOURCES[currentLock.source];
             const content = document.createElement('div');
             content.innerHTML = `
                 <h3>${translate('Preset Lock Active', 'stwil.dialog.lockActive.title')}</h3>
-                <p>${tKey('stwil.dialog.lockActive.body1', 'This context is locked to preset "${0}" but you\'re switching to "${1}".', escapeHtml(currentLock), escapeHtml(newName))}</p>
-                <p>${translate('Do you want to update the lock to use the new preset?', 'stwil.dialog.lockActive.body2')}</p>
+                <p>${tKey('stwil.dialog.lockActive.body1', 'This context is locked to preset "${0}" but you\'re switching to "${1}".', escapeHtml(getPresetDisplayName(currentLock.presetRef)), escapeHtml(newName))}</p>
+                <p>${tKey('stwil.dialog.lockActive.updateWinner', 'Update the ${0} "${1}" to use the new preset? Other locks stay as they are.', escapeHtml(lockSource.label().toLowerCase()), escapeHtml(lockSource.describe(getCurrentContext()) ?? ''))}</p>
             `;
             const shouldUpdate = await callPopup(content, 'confirm');
             
             if (shouldUpdate) {
-                await updateLocksForContext(preset?.name);
+                updateWinningLock(currentLock, preset?.id ?? null);
             }
         }
     }
     
-    // Use delta approach: only change what's needed instead of brute force
-    const currentlyActive = new Set(world_info.globalSelect || []);
-    const targetBooks = new Set(preset?.worldList || []);
-    
-    // Find books to unload (currently active but not in target)
-    const booksToUnload = [...currentlyActive].filter(book => !targetBooks.has(book));
-    
-    // Find books to load (in target but not currently active)
-    const booksToLoad = [...targetBooks].filter(book => !currentlyActive.has(book));
-    
-    // Unload books that shouldn't be active
-    for (const book of booksToUnload) {
-        await executeSlashCommands(`/world state=off silent=true ${book}`);
-    }
-    
-    // Load books that should be active
-    for (const book of booksToLoad) {
-        await executeSlashCommands(`/world silent=true ${book}`);
+    // Offer local books in place of missing ones before they are left out; automatic switches
+    // leave it to the next manual one
+    const missingBeforeRemap = (preset?.worldList ?? []).filter(book => !world_names?.includes(book));
+    if (appReady && missingBeforeRemap.length > 0 && userRequested) {
+        await offerBookRemap(preset, missingBeforeRemap);
     }
 
-    // Apply world info settings with enhanced reliability
+    if (!isActivationCurrent(generation)) return 'superseded';
+
+    // Everything the switch can change, so a failed switch can be undone
+    const snapshot = {
+        books: [...getSelectedBooks()],
+        worldInfoSettings: snapshotWorldInfoSettings(),
+    };
+
+    const missingBooks = applyBookSelection(preset?.worldList ?? []);
+    let failedSettings = [];
+
+    // Apply world info settings (held until SillyTavern is ready during startup)
     if (preset?.worldInfoSettings) {
         console.log(`STWIL: Applying world info settings for preset "${preset.name}":`, preset.worldInfoSettings);
 
         try {
             const settingsResult = await applyWorldInfoEngineSettings(preset.worldInfoSettings);
+            failedSettings = settingsResult.failedSettings;
 
             if (!settingsResult.success) {
                 console.warn(`STWIL: Settings application partially failed for preset "${preset.name}":`, {
                     failed: settingsResult.failedSettings,
                     applied: settingsResult.appliedSettings,
-                    attempts: settingsResult.attempt
                 });
-
-                if (settings.showLockNotifications && settingsResult.failedSettings.length > 0) {
-                    const failedList = settingsResult.failedSettings.join(', ');
-                    toastr.warning(
-                        tKey('stwil.toast.settingsApplyPartialFail', 'Some world info settings failed to apply: ${0}', failedList),
-                        translate('World Info Presets', 'stwil.title')
-                    );
-                }
             } else {
                 console.log(`STWIL: Successfully applied all world info settings for preset "${preset.name}"`);
             }
         } catch (error) {
             console.error(`STWIL: Error applying world info settings for preset "${preset.name}":`, error);
-            if (settings.showLockNotifications) {
-                toastr.error(
-                    tKey('stwil.toast.applySettingsFailed', 'Failed to apply world info settings for preset "${0}"', escapeHtml(preset.name)),
-                    translate('World Info Presets', 'stwil.title')
-                );
-            }
+            failedSettings = Object.keys(preset.worldInfoSettings);
+        }
+    }
+
+    if (missingBooks.length > 0 || failedSettings.length > 0) {
+        console.warn(`STWIL: Preset "${preset.name}" was only partly applied`, { missingBooks, failedSettings });
+        if (!userRequested) {
+            toastr.warning(
+                tKey('stwil.toast.partiallyApplied', 'Preset "${0}" was applied without: ${1}', escapeHtml(preset.name), escapeHtml([...missingBooks, ...failedSettings].join(', '))),
+                translate('World Info Presets', 'stwil.title')
+            );
+        } else if (!await confirmKeepPartialPreset(preset, missingBooks, failedSettings)) {
+            await rollbackActivation(snapshot, preset);
+            toastr.info(
+                tKey('stwil.toast.activationRolledBack', 'Rolled back to the books and settings from before "${0}"', escapeHtml(preset.name)),
+                translate('World Info Presets', 'stwil.title')
+            );
+            return 'rolledBack';
         }
     }
     
     // Update internal state
     settings.presetName = preset?.name ?? '';
+    if (preset) {
+        settings.recentPresets = [preset.id, ...settings.recentPresets.filter(id => id !== preset.id)].slice(0, RECENT_PRESET_LIMIT);
+    }
     updateSelect();
     updateLockButton();
     saveSettingsDebounced();
+    emitStwilEvent(STWIL_EVENTS.PRESET_ACTIVATED, { preset: presetToPlain(preset), previousPreset, source, missingBooks });
+    return 'applied';
 };
 
+/**
+ * How the live world info state differs from a preset: books toggled since it was applied and
+ * included settings that were changed. Books and settings this install can't apply are ignored,
+ * since they could never match.
+ * @param {Preset} preset
+ * @returns {{addedBooks: string[], removedBooks: string[], changedSettings: string[]}|null} null if nothing differs
+ */
+function getPresetDrift(preset) {
+    if (!preset) return null;
+    const liveBooks = getSelectedBooks();
+    const presetBooks = preset.worldList.filter(book => world_names?.includes(book));
+    const addedBooks = liveBooks.filter(book => !presetBooks.includes(book));
+    const removedBooks = presetBooks.filter(book => !liveBooks.includes(book));
+
+    const current = snapshotWorldInfoSettings();
+    const supportedSettings = Object.fromEntries(Object.entries(preset.worldInfoSettings ?? {}).filter(([key]) => current[key] !== undefined));
+    const changedSettings = findSettingMismatches(supportedSettings, current).map(m => m.key);
+
+    if (addedBooks.length === 0 && removedBooks.length === 0 && changedSettings.length === 0) return null;
+    return { addedBooks, removedBooks, changedSettings };
+}
 
-function updateLocksForContext(presetName) {
-    const context = getCurrentContext();
+function describePresetDrift(drift) {
+    const lines = [];
+    if (drift.addedBooks.length > 0) lines.push(tKey('stwil.dirty.addedBooks', 'Books added: ${0}', drift.addedBooks.join(', ')));
+    if (drift.removedBooks.length > 0) lines.push(tKey('stwil.dirty.removedBooks', 'Books removed: ${0}', drift.removedBooks.join(', ')));
+    if (drift.changedSettings.length > 0) lines.push(tKey('stwil.dirty.changedSettings', 'Settings changed: ${0}', drift.changedSettings.map(key => key.replace('world_info_', '')).join(', ')));
+    return lines;
+}
 
-    if (getChatLock()) {
-        setChatLock(presetName);
+/**
+ * Mark the active preset in the select when the live state has drifted from it.
+ * Skipped while an activation is running, since the state is only half switched then.
+ */
+function updateDirtyIndicator() {
+    if (!presetSelect || activationRunning) return;
+    const active = settings.preset;
+    const drift = appReady ? getPresetDrift(active) : null;
+    for (const opt of presetSelect.options) {
+        const preset = opt.value ? findPresetById(opt.value) : null;
+        if (!preset) continue;
+        const label = preset === active && drift ? `${preset.name} *` : preset.name;
+        if (opt.textContent !== label) opt.textContent = label;
     }
+    presetSelect.title = drift
+        ? [translate('Unsaved changes to the active preset:', 'stwil.dirty.title'), ...describePresetDrift(drift)].join('\n')
+        : '';
+}
 
-    if (context.isGroupChat) {
-        if (getGroupLock(context.groupId)) {
-            setGroupLock(context.groupId, presetName);
-        }
-    } else {
-        if (getCharacterLock(context.characterName)) {
-            setCharacterLock(context.characterName, presetName);
+/**
+ * Offer to save changes to the active preset before switching away from it.
+ * @param {Preset} activePreset
+ * @param {ReturnType<getPresetDrift>} drift
+ * @returns {Promise<boolean>} false if the switch should be cancelled
+ */
+async function resolveUnsavedChanges(activePreset, drift) {
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${tKey('stwil.dialog.unsaved.title', 'Unsaved changes to "${0}"', escapeHtml(activePreset.name))}</h3>
+        <p>${translate('The world info selection or settings changed since this preset was applied. Switching presets will replace them.', 'stwil.dialog.unsaved.body')}</p>
+        <ul>${describePresetDrift(drift).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+    `;
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('Save', 'stwil.common.save'),
+        cancelButton: translate('Discard', 'stwil.dialog.unsaved.discard'),
+        customButtons: [{
+            text: translate('Save as...', 'stwil.dialog.unsaved.saveAs'),
+            classes: ['menu_button'],
+            result: POPUP_RESULT.CUSTOM1,
+        }],
+    });
+    const result = await popup.show();
+
+    if (result === POPUP_RESULT.AFFIRMATIVE) {
+        updatePresetFromCurrentState(activePreset);
+        return true;
+    }
+    if (result === POPUP_RESULT.NEGATIVE) {
+        return true;
+    }
+    if (result === POPUP_RESULT.CUSTOM1) {
+        const nameContent = document.createElement('div');
+        nameContent.innerHTML = `<h3>${translate('Preset Name:', 'stwil.dialog.presetName.title')}</h3>`;
+        const name = String(await callPopup(nameContent, 'input', activePreset.name) ?? '').trim();
+        if (!name) return false;
+        if (findPresetByName(name)) {
+            toastr.warning(tKey('stwil.toast.presetExists', 'Preset "${0}" already exists', escapeHtml(name)));
+            return false;
         }
+        createPresetFromCurrentState(name, activePreset.worldInfoSettings ? Object.keys(activePreset.worldInfoSettings) : null);
+        return true;
     }
+    // Closed without choosing: keep the changes and stay on the current preset
+    return false;
 }
 
-const updateSelect = ()=>{
-    if (!presetSelect) return; // Guard against race condition
+/**
+ * Offer close local matches for the books of a preset this install doesn't have, and rewrite
+ * the preset's book list with the chosen ones. Only asks when there is something to suggest
+ * and the same missing books weren't already answered for; otherwise the partial-apply prompt
+ * lists the missing books.
+ * @param {Preset} preset
+ * @param {string[]} missingBooks
+ */
+async function offerBookRemap(preset, missingBooks) {
+    const decided = settings.bookRemapDecisions[preset.id] ?? [];
+    if (decided.length === missingBooks.length && missingBooks.every(book => decided.includes(book))) return;
 
-    // Update the blank option to show global default
-    const blankOption = presetSelect.children[0];
-    if (blankOption && blankOption.value === '') {
-        blankOption.setAttribute('data-i18n', 'stwil.select.placeholder');
-        blankOption.textContent = settings.globalDefaultPreset ?
-            tKey('stwil.select.default', '--- Default: ${0} ---', settings.globalDefaultPreset) :
-            translate('--- Pick a Preset ---', 'stwil.select.placeholder');
-    }
+    const items = await buildMissingBookItems(missingBooks);
+    if (!items.some(item => item.target)) return;
 
-    // Get all option elements (excluding the blank option)
-    const opts = Array.from(presetSelect.children);
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${tKey('stwil.bookRemap.title', 'Books of "${0}" are missing', escapeHtml(preset.name))}</h3>
+        <p><small>${translate('These books are not on this install. Pick a book to use instead, or keep the name to leave the book out for now.', 'stwil.bookRemap.tip')}</small></p>
+        ${renderImportTable(items)}
+    `;
+    bindImportRows(content, items, undefined);
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('Update preset', 'stwil.bookRemap.apply'),
+        cancelButton: translate('Leave as is', 'stwil.bookRemap.later'),
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    const confirmed = await popup.show() === POPUP_RESULT.AFFIRMATIVE;
+    if (confirmed) readImportRows(content, items);
+    const worldList = confirmed ? remapWorldList(preset.worldList, items) : preset.worldList;
+    // Books still missing after this answer aren't asked about again until the set changes
+    settings.bookRemapDecisions[preset.id] = worldList.filter(book => !world_names?.includes(book));
+    saveSettingsDebounced();
+    if (worldList.length === preset.worldList.length && worldList.every((book, index) => book === preset.worldList[index])) return;
 
-    const added = [];
-    const removed = [];
-    const updated = [];
-    for (const preset of settings.presetList) {
-        const opt = opts.find(opt=>opt.value.toLowerCase() == preset.name.toLowerCase());
-        if (opt) {
-            if (opt.value != preset.name) {
-                updated.push({ preset, opt });
-            }
-        } else {
-            added.push(preset);
-        }
-    }
-    for (const opt of opts) {
-        if (opt.value == '') continue;
-        if (settings.presetList.find(preset=>opt.value.toLowerCase() == preset.name.toLowerCase())) continue;
-        removed.push(opt);
-    }
-    for (const opt of removed) {
-        opt.remove();
-        opts.splice(opts.indexOf(opt), 1);
-    }
-    for (const update of updated) {
-        update.opt.value = update.preset.name;
-        update.opt.textContent = update.preset.name;
-        update.opt.title = generatePresetTooltip(update.preset);
-    }
-    const sortedOpts = opts.toSorted((a,b)=>a.value.toLowerCase().localeCompare(b.value.toLowerCase()));
-    sortedOpts.forEach((opt, idx)=>{
-        if (presetSelect.children[idx] != opt) {
-            presetSelect.children[idx].insertAdjacentElement('beforebegin', opt);
-        }
+    // Not savePresetEdits: that would queue another activation from inside this one
+    const previous = capturePresetState(preset);
+    preset.worldList = worldList;
+    recordPresetRevision(preset, previous, 'booksRemapped');
+    preset.updatedAt = Date.now();
+    saveSettingsDebounced();
+    emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'edited', previousName: null });
+    toastr.success(tKey('stwil.toast.booksRemapped', 'Updated the books of "${0}"', escapeHtml(preset.name)));
+}
+
+/**
+ * Ask whether to keep a preset that could only be applied in part.
+ * @returns {Promise<boolean>} true to keep it, false to roll back
+ */
+async function confirmKeepPartialPreset(preset, missingBooks, failedSettings) {
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${tKey('stwil.dialog.partialApply.title', 'Preset "${0}" was only partly applied', escapeHtml(preset.name))}</h3>
+        ${missingBooks.length > 0 ? `
+        <p>${translate('These books could not be loaded:', 'stwil.dialog.partialApply.books')}</p>
+        <ul>${missingBooks.map(book => `<li>${escapeHtml(book)}</li>`).join('')}</ul>
+        ` : ''}
+        ${failedSettings.length > 0 ? `
+        <p>${translate('These world info settings could not be applied:', 'stwil.dialog.partialApply.settings')}</p>
+        <ul>${failedSettings.map(key => `<li><code>${escapeHtml(key)}</code></li>`).join('')}</ul>
+        ` : ''}
+        <p>${translate('Keep what was applied, or roll back to the books and settings from before the switch?', 'stwil.dialog.partialApply.question')}</p>
+    `;
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('Keep', 'stwil.dialog.partialApply.keep'),
+        cancelButton: translate('Roll back', 'stwil.dialog.partialApply.rollback'),
     });
-    for (const preset of added) {
-        const opt = document.createElement('option'); {
-            opt.value = preset.name;
-            opt.textContent = preset.name;
-            opt.title = generatePresetTooltip(preset);
-            const before = Array.from(presetSelect.children).find(it=>it.value.toLowerCase().localeCompare(preset.name.toLowerCase()) == 1);
-            if (before) before.insertAdjacentElement('beforebegin', opt);
-            else presetSelect.append(opt);
-        }
+    return await popup.show() === POPUP_RESULT.AFFIRMATIVE;
+}
+
+/**
+ * Restore the books and the settings a preset touched from a snapshot taken before activation.
+ * @param {{books: string[], worldInfoSettings: Object}} snapshot
+ * @param {Preset} preset
+ */
+async function rollbackActivation(snapshot, preset) {
+    applyBookSelection(snapshot.books);
+    if (!preset?.worldInfoSettings) return;
+
+    const touchedKeys = Object.keys(preset.worldInfoSettings);
+    const previousSettings = Object.fromEntries(Object.entries(snapshot.worldInfoSettings).filter(([key]) => touchedKeys.includes(key)));
+    const result = await applyWorldInfoEngineSettings(previousSettings);
+    if (!result.success) {
+        console.error('STWIL: Rollback could not restore world info settings:', result.failedSettings);
     }
-    presetSelect.value = settings.presetName;
-};
+}
 
-function updateLockButton() {
-    if (!lockButton) return; // Guard against race condition
-    
-    if (hasAnyLocks()) {
-        lockButton.classList.add('toggleEnabled');
-        lockButton.style.color = 'var(--active)';
+/**
+ * Make `books` the exact set of globally selected world info books in one step, with a
+ * single save and UI refresh. Goes through the #world_info select's own change handler
+ * when the UI is there, so SillyTavern updates its state exactly as for a manual pick.
+ * @param {string[]} books
+ * @returns {string[]} Books that don't exist and were left out
+ */
+function applyBookSelection(books) {
+    const available = books.filter(book => world_names?.includes(book));
+    const missing = books.filter(book => !world_names?.includes(book));
+
+    const current = getSelectedBooks();
+    if (current.length === available.length && available.every(book => current.includes(book))) {
+        return missing;
+    }
+
+    /**@type {HTMLSelectElement}*/
+    const select = document.querySelector('#world_info');
+    if (select) {
+        // Option values are indexes into world_names
+        const indexes = new Set(available.map(book => String(world_names.indexOf(book))));
+        for (const option of select.options) {
+            option.selected = indexes.has(option.value);
+        }
+        select.dispatchEvent(new Event('change', { bubbles: true }));
     } else {
-        lockButton.classList.remove('toggleEnabled');
-        lockButton.style.color = '';
+        selected_world_info.splice(0, selected_world_info.length, ...available);
+        world_info.globalSelect = [...available];
+        saveSettingsDebounced();
+        eventSource.emit(event_types.WORLDINFO_SETTINGS_UPDATED);
     }
+    return missing;
 }
 
-async function showLockSettings() {
-    const context = getCurrentContext();
-    const chatLock = getChatLock();
 
-    let contextLockHtml = '';
-    let currentContextLock = false;
+/**
+ * Point the lock that won resolution at another preset. Only that lock changes: a persona lock,
+ * for example, also applies to every other chat with that persona.
+ * @param {{source: string, presetRef: string}} lock Winner from {@link resolveLock}
+ * @param {string|null} presetId Preset to lock to, or null to remove the lock
+ */
+function updateWinningLock(lock, presetId) {
+    setContextLock(/**@type {'chat'|'character'|'group'|'persona'}*/ (lock.source), presetId);
+}
 
-    if (context.isGroupChat) {
-        const groupLock = getGroupLock(context.groupId);
-        currentContextLock = groupLock;
-        contextLockHtml = `
-            <label class="checkbox_label">
-                <input type="checkbox" id="groupLockCheckbox" ${groupLock ? 'checked' : ''}>
-                <span>${translate('Lock to group', 'stwil.dialog.locks.lockToGroup')}${context.groupName ? ` (${escapeHtml(context.groupName)})` : ''}</span>
+const RECENT_PRESET_LIMIT = 5;
+// In 'auto' mode, libraries at least this big open the picker instead of the plain dropdown
+const PRESET_PICKER_THRESHOLD = 20;
+
+function getPresetFolders() {
+    return [...new Set(settings.presetList.map(preset => preset.folder).filter(Boolean))]
+        .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+}
+
+function shouldUsePresetPicker() {
+    if (settings.presetPicker === 'always') return true;
+    if (settings.presetPicker === 'never') return false;
+    return settings.presetList.length >= PRESET_PICKER_THRESHOLD;
+}
+
+function renderPresetPickerRow(preset) {
+    const favorite = settings.favoritePresets.includes(preset.id);
+    const active = settings.preset === preset;
+    return `
+        <div class="stwil--pickerRow flex-container flexnowrap alignItemsCenter" tabindex="0" data-preset="${escapeHtml(preset.id)}" title="${escapeHtml(generatePresetTooltip(preset))}" style="cursor: pointer; padding: 2px 5px; ${active ? 'font-weight: bold;' : ''}">
+            <i class="stwil--pickerFavorite fa-${favorite ? 'solid' : 'regular'} fa-star" title="${translate('Favorite', 'stwil.picker.favorite')}"></i>
+            <span class="flex1">${escapeHtml(preset.name)}${preset.description ? ` <small style="color: var(--grey50);">${escapeHtml(preset.description)}</small>` : ''}</span>
+            <i class="stwil--pickerEdit fa-solid fa-pen-to-square" title="${translate('Edit preset', 'stwil.picker.edit')}"></i>
+        </div>
+    `;
+}
+
+/**
+ * Score how well `query` matches `text` when its characters appear in order, not necessarily
+ * next to each other ("cmpa" matches "Campaign A"). Runs of consecutive characters and matches
+ * at word starts score higher.
+ * @returns {number} 0 if `text` doesn't contain the query's characters in order
+ */
+function fuzzyScore(query, text) {
+    if (!query || !text) return 0;
+    const haystack = text.toLowerCase();
+    let score = 0;
+    let run = 0;
+    let position = 0;
+    for (const char of query) {
+        const index = haystack.indexOf(char, position);
+        if (index === -1) return 0;
+        run = index === position ? run + 1 : 1;
+        const wordStart = index === 0 || /[\s\-_/.]/.test(haystack[index - 1]);
+        score += run + (wordStart ? 2 : 0);
+        position = index + 1;
+    }
+    // A plain substring match beats a scattered one
+    return score + (haystack.includes(query) ? query.length : 0);
+}
+
+function scorePresetMatch(query, preset) {
+    // Names count most, then folders, then descriptions
+    return Math.max(fuzzyScore(query, preset.name) * 3, fuzzyScore(query, preset.folder) * 2, fuzzyScore(query, preset.description));
+}
+
+let presetPickerOpen = false;
+
+/**
+ * Searchable preset picker and quick switcher: favorites and recently used presets on top, then
+ * every preset by folder. Typing fuzzy-searches names, folders and descriptions, best match first.
+ */
+async function showPresetPicker() {
+    // The hotkey and the dropdown can both ask for it
+    if (presetPickerOpen) return;
+    presetPickerOpen = true;
+    try {
+        await showPresetPickerPopup();
+    } finally {
+        presetPickerOpen = false;
+    }
+}
+
+async function showPresetPickerPopup() {
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${translate('Pick a Preset', 'stwil.picker.title')}</h3>
+        <input type="search" id="stwil--pickerSearch" class="text_pole marginBot10" placeholder="${translate('Search presets...', 'stwil.picker.search')}">
+        <div id="stwil--pickerList" style="text-align: left;"></div>
+    `;
+    const search = content.querySelector('#stwil--pickerSearch');
+    const list = content.querySelector('#stwil--pickerList');
+
+    const render = () => {
+        const query = search.value.trim().toLowerCase();
+        const section = (title, presets) => presets.length > 0
+            ? `<h4 class="marginTopBot5">${title}</h4>${presets.map(renderPresetPickerRow).join('')}`
+            : '';
+
+        if (query) {
+            const ranked = settings.presetList
+                .map(preset => ({ preset, score: scorePresetMatch(query, preset) }))
+                .filter(it => it.score > 0)
+                .sort((a, b) => b.score - a.score || a.preset.name.toLowerCase().localeCompare(b.preset.name.toLowerCase()))
+                .map(it => it.preset);
+            list.innerHTML = section(translate('Matches', 'stwil.picker.matches'), ranked)
+                || `<p><small>${translate('No presets match.', 'stwil.picker.noMatches')}</small></p>`;
+            return;
+        }
+
+        const sorted = settings.presetList.toSorted((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+        const favorites = sorted.filter(preset => settings.favoritePresets.includes(preset.id));
+        const recent = settings.recentPresets.map(id => findPresetById(id)).filter(Boolean);
+        const folders = getPresetFolders().map(folder => ({ folder, presets: sorted.filter(preset => preset.folder === folder) }));
+        const unfiled = sorted.filter(preset => !preset.folder);
+
+        list.innerHTML = [
+            section(`<i class="fa-solid fa-star"></i> ${translate('Favorites', 'stwil.picker.favorites')}`, favorites),
+            section(`<i class="fa-solid fa-clock-rotate-left"></i> ${translate('Recently used', 'stwil.picker.recent')}`, recent),
+            ...folders.map(({ folder, presets }) => section(`<i class="fa-solid fa-folder"></i> ${escapeHtml(folder)}`, presets)),
+            section(folders.some(({ presets }) => presets.length > 0) ? translate('No folder', 'stwil.picker.noFolder') : translate('All presets', 'stwil.picker.all'), unfiled),
+        ].join('') || `<p><small>${translate('No presets match.', 'stwil.picker.noMatches')}</small></p>`;
+    };
+
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        okButton: translate('Close', 'stwil.common.close'),
+        allowVerticalScrolling: true,
+    });
+
+    const pick = async (presetId) => {
+        await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+        // Goes through the dropdown's own handler, like a manual pick
+        presetSelect.value = presetId;
+        presetSelect.dispatchEvent(new Event('change'));
+    };
+
+    search.addEventListener('input', render);
+    search.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        const first = list.querySelector('.stwil--pickerRow');
+        if (first) pick(first.dataset.preset);
+    });
+    list.addEventListener('click', async (e) => {
+        const row = e.target.closest('.stwil--pickerRow');
+        if (!row) return;
+        if (e.target.closest('.stwil--pickerEdit')) {
+            const preset = findPresetById(row.dataset.preset);
+            if (!preset) return;
+            await showPresetEditor(preset);
+            render();
+            return;
+        }
+        if (e.target.closest('.stwil--pickerFavorite')) {
+            const id = row.dataset.preset;
+            settings.favoritePresets = settings.favoritePresets.includes(id)
+                ? settings.favoritePresets.filter(it => it !== id)
+                : [...settings.favoritePresets, id];
+            saveSettingsDebounced();
+            render();
+            return;
+        }
+        pick(row.dataset.preset);
+    });
+    list.addEventListener('keydown', (e) => {
+        const row = e.target.closest('.stwil--pickerRow');
+        if (row && e.key === 'Enter') pick(row.dataset.preset);
+    });
+
+    render();
+    const shown = popup.show();
+    search.focus();
+    await shown;
+}
+
+const HOTKEY_ACTIONS = {
+    quickSwitcher: {
+        label: () => translate('Quick switcher', 'stwil.hotkeys.quickSwitcher'),
+        run: () => showPresetPicker(),
+    },
+    nextFavorite: {
+        label: () => translate('Next favorite', 'stwil.hotkeys.nextFavorite'),
+        run: () => cycleFavoritePreset(1),
+    },
+    previousFavorite: {
+        label: () => translate('Previous favorite', 'stwil.hotkeys.previousFavorite'),
+        run: () => cycleFavoritePreset(-1),
+    },
+    toggleLock: {
+        label: () => translate('Toggle lock', 'stwil.hotkeys.toggleLock'),
+        run: () => toggleContextLockHotkey(),
+    },
+};
+
+/**
+ * Key combination of a keydown event in the form stored in settings, e.g. 'Ctrl+Shift+L'.
+ * Uses the physical key so Alt combinations don't turn into special characters on macOS.
+ * @param {KeyboardEvent} e
+ * @returns {string|null} null while only modifiers are held
+ */
+function formatHotkey(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+    const key = e.code.replace(/^Key|^Digit/, '') || e.key;
+    return [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta', key].filter(Boolean).join('+');
+}
+
+function onHotkey(e) {
+    if (e.repeat || e.defaultPrevented) return;
+    const combo = formatHotkey(e);
+    if (!combo) return;
+    // Without a modifier the key is probably meant for the text being typed
+    const typing = e.target instanceof HTMLElement && (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName));
+    if (typing && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+
+    const action = Object.keys(HOTKEY_ACTIONS).find(it => settings.hotkeys?.[it] === combo);
+    if (!action) return;
+    e.preventDefault();
+    Promise.resolve(HOTKEY_ACTIONS[action].run()).catch(reportActivationFailure);
+}
+
+/**
+ * Activate the favorite after (or before) the active preset, in the order they were starred.
+ * @param {1|-1} direction
+ */
+async function cycleFavoritePreset(direction) {
+    const favorites = settings.favoritePresets.map(id => findPresetById(id)).filter(Boolean);
+    if (favorites.length === 0) {
+        toastr.info(translate('No favorite presets yet. Star presets in the 🔍 picker.', 'stwil.toast.noFavorites'));
+        return;
+    }
+    const index = favorites.indexOf(settings.preset);
+    const next = index === -1
+        ? favorites[direction > 0 ? 0 : favorites.length - 1]
+        : favorites[(index + direction + favorites.length) % favorites.length];
+    toastr.info(tKey('stwil.toast.switchingTo', 'Switching to "${0}"', escapeHtml(next.name)), translate('World Info Presets', 'stwil.title'));
+    await activatePreset(next);
+}
+
+/**
+ * Lock the active preset to the current context, or remove the lock if it already is, for the
+ * lock type chosen in the settings.
+ */
+function toggleContextLockHotkey() {
+    const context = getCurrentContext();
+    const type = settings.hotkeyLockType === 'character' && context.isGroupChat ? 'group' : settings.hotkeyLockType;
+    const current = LOCK_SOURCES[type].getLock(context);
+    const preset = settings.preset;
+    const lockLabel = LOCK_SOURCES[type].label();
+
+    if (current && (!preset || findPreset(current) === preset)) {
+        if (setContextLock(type, null)) {
+            toastr.info(tKey('stwil.toast.lockRemoved', '${0} removed', lockLabel), translate('World Info Presets', 'stwil.title'));
+        }
+        return;
+    }
+    if (!preset) {
+        toastr.warning(translate('Select a preset to lock first.', 'stwil.toast.noPresetToLock'));
+        return;
+    }
+    if (setContextLock(type, preset.id)) {
+        toastr.info(tKey('stwil.toast.lockSet', '${0} set to "${1}"', lockLabel, escapeHtml(preset.name)), translate('World Info Presets', 'stwil.title'));
+    } else {
+        toastr.warning(tKey('stwil.toast.nothingToLock', 'Nothing to lock: ${0} needs an open chat.', lockLabel));
+    }
+}
+
+function renderHotkeyInput(action) {
+    return `
+        <div class="flex-container flexnowrap alignItemsCenter">
+            <span class="flex1">${HOTKEY_ACTIONS[action].label()}</span>
+            <input type="text" class="text_pole stwil--hotkeyInput flex1" readonly data-action="${action}" value="${escapeHtml(settings.hotkeys?.[action] ?? '')}" placeholder="${translate('None', 'stwil.common.none')}">
+        </div>
+    `;
+}
+
+const updateSelect = ()=>{
+    if (!presetSelect) return; // Guard against race condition
+
+    // Update the blank option to show global default
+    const blankOption = presetSelect.children[0];
+    if (blankOption && blankOption.value === '') {
+        blankOption.setAttribute('data-i18n', 'stwil.select.placeholder');
+        blankOption.textContent = settings.globalDefaultPreset ?
+            tKey('stwil.select.default', '--- Default: ${0} ---', getPresetDisplayName(settings.globalDefaultPreset)) :
+            translate('--- Pick a Preset ---', 'stwil.select.placeholder');
+    }
+
+    // Get all option elements (excluding the blank option)
+    const opts = Array.from(presetSelect.children);
+
+    const added = [];
+    const removed = [];
+    const updated = [];
+    for (const preset of settings.presetList) {
+        const opt = opts.find(opt=>opt.value == preset.id);
+        if (opt) {
+            // Books, settings and metadata can change without a rename, so the tooltip is always rebuilt
+            opt.title = generatePresetTooltip(preset);
+            if (opt.textContent != preset.name) {
+                updated.push({ preset, opt });
+            }
+        } else {
+            added.push(preset);
+        }
+    }
+    for (const opt of opts) {
+        if (opt.value == '') continue;
+        if (findPresetById(opt.value)) continue;
+        removed.push(opt);
+    }
+    for (const opt of removed) {
+        opt.remove();
+        opts.splice(opts.indexOf(opt), 1);
+    }
+    for (const update of updated) {
+        update.opt.textContent = update.preset.name;
+    }
+    const sortedOpts = opts.toSorted((a,b)=>{
+        if (a.value == '') return -1;
+        if (b.value == '') return 1;
+        return a.textContent.toLowerCase().localeCompare(b.textContent.toLowerCase());
+    });
+    sortedOpts.forEach((opt, idx)=>{
+        if (presetSelect.children[idx] != opt) {
+            presetSelect.children[idx].insertAdjacentElement('beforebegin', opt);
+        }
+    });
+    for (const preset of added) {
+        const opt = document.createElement('option'); {
+            opt.value = preset.id;
+            opt.textContent = preset.name;
+            opt.title = generatePresetTooltip(preset);
+            const before = Array.from(presetSelect.children).find(it=>it.value != '' && it.textContent.toLowerCase().localeCompare(preset.name.toLowerCase()) == 1);
+            if (before) before.insertAdjacentElement('beforebegin', opt);
+            else presetSelect.append(opt);
+        }
+    }
+    presetSelect.value = settings.preset?.id ?? '';
+    updateDirtyIndicator();
+};
+
+function updateLockButton() {
+    if (!lockButton) return; // Guard against race condition
+    
+    if (hasAnyLocks()) {
+        lockButton.classList.add('toggleEnabled');
+        lockButton.style.color = 'var(--active)';
+    } else {
+        lockButton.classList.remove('toggleEnabled');
+        lockButton.style.color = '';
+    }
+}
+
+async function showLockSettings() {
+    const context = getCurrentContext();
+    const chatLock = getChatLock();
+    const personaLock = getPersonaLock(context.personaId);
+    const tagLock = getContextTagLock(context);
+
+    let contextLockHtml = '';
+    let currentContextLock = false;
+
+    if (context.isGroupChat) {
+        const groupLock = getGroupLock(context.groupId);
+        currentContextLock = groupLock;
+        contextLockHtml = `
+            <label class="checkbox_label">
+                <input type="checkbox" id="groupLockCheckbox" ${groupLock ? 'checked' : ''}>
+                <span>${translate('Lock to group', 'stwil.dialog.locks.lockToGroup')}${context.groupName ? ` (${escapeHtml(context.groupName)})` : ''}</span>
             </label>
         `;
     } else {
-        const characterLock = getCharacterLock(context.characterName);
+        const characterLock = getCharacterLock(context.characterId, context.characterName);
         currentContextLock = characterLock;
         contextLockHtml = `
             <label class="checkbox_label">
@@ -818,13 +2254,21 @@ async function showLockSettings() {
     content.innerHTML = `
         <h3>${translate('Preset Locks', 'stwil.dialog.locks.title')}</h3>
         <p>${tKey('stwil.dialog.locks.message', 'Lock the current preset "${0}" to this context:', escapeHtml(presetNameHtml))}</p>
+        ${settings.preset?.description ? `<p><small style="color: var(--grey70);">${escapeHtml(settings.preset.description)}</small></p>` : ''}
         <div>
             ${contextLockHtml}
             <label class="checkbox_label">
                 <input type="checkbox" id="chatLockCheckbox" ${chatLock ? 'checked' : ''}>
                 <span>${translate('Lock to chat', 'stwil.dialog.locks.lockToChat')}</span>
             </label>
+            ${context.personaId ? `
+            <label class="checkbox_label">
+                <input type="checkbox" id="personaLockCheckbox" ${personaLock ? 'checked' : ''}>
+                <span>${translate('Lock to persona', 'stwil.dialog.locks.lockToPersona')} (${escapeHtml(context.personaName)})</span>
+            </label>
+            ` : ''}
         </div>
+        ${tagLock && settings.enableTagLocks ? `<small style="color: var(--grey50);">${tKey('stwil.dialog.locks.tagLockHint', 'Tag "${0}" locks this context to preset "${1}". Tag locks are managed in the settings.', escapeHtml(getTagName(tagLock.tagId)), escapeHtml(getPresetDisplayName(tagLock.presetId)))}</small>` : ''}
     `;
 
     const result = await callPopup(content, 'confirm');
@@ -833,19 +2277,25 @@ async function showLockSettings() {
         const chatLockChecked = content.querySelector('#chatLockCheckbox')?.checked || false;
 
         // Update chat lock
-        setChatLock(chatLockChecked ? settings.presetName : null);
+        setChatLock(chatLockChecked ? settings.preset?.id : null);
 
         // Update context-specific lock (group or character)
         if (context.isGroupChat) {
             const groupLockChecked = content.querySelector('#groupLockCheckbox')?.checked || false;
-            setGroupLock(context.groupId, groupLockChecked ? settings.presetName : null);
+            setGroupLock(context.groupId, groupLockChecked ? settings.preset?.id : null);
         } else {
             const characterLockChecked = content.querySelector('#characterLockCheckbox')?.checked || false;
-            if (context.characterName) {
-                setCharacterLock(context.characterName, characterLockChecked ? settings.presetName : null);
+            if (context.characterId) {
+                setCharacterLock(context.characterId, characterLockChecked ? settings.preset?.id : null, context.characterName);
             }
         }
 
+        // Update persona lock
+        const personaLockChecked = content.querySelector('#personaLockCheckbox')?.checked || false;
+        if (context.personaId) {
+            setPersonaLock(context.personaId, personaLockChecked ? settings.preset?.id : null);
+        }
+
         updateLockButton();
 
         if (settings.showLockNotifications) {
@@ -860,6 +2310,8 @@ async function showLockSettings() {
                 if (characterLockChecked) locks.push(translate('character', 'stwil.lock.character'));
             }
 
+            if (personaLockChecked) locks.push(translate('persona', 'stwil.lock.persona'));
+
             if (locks.length > 0) {
                 const locksText = locks.join(', ');
                 toastr.success(
@@ -876,12 +2328,121 @@ async function showLockSettings() {
     }
 }
 
+function getTraceStatusLabel(status) {
+    switch (status) {
+        case 'winner': return translate('Winner', 'stwil.trace.status.winner');
+        case 'missing': return translate('Missing preset', 'stwil.trace.status.missing');
+        case 'overridden': return translate('Overridden', 'stwil.trace.status.overridden');
+        case 'disabled': return translate('Disabled', 'stwil.trace.status.disabled');
+        default: return translate('Not set', 'stwil.trace.status.empty');
+    }
+}
+
+function getTraceOutcomeLabel(outcome) {
+    switch (outcome) {
+        case 'applied': return translate('applied', 'stwil.trace.outcome.applied');
+        case 'missing': return translate('preset missing', 'stwil.trace.outcome.missing');
+        case 'timeout': return translate('timed out waiting for chat data', 'stwil.trace.outcome.timeout');
+        case 'superseded': return translate('superseded by a newer switch', 'stwil.trace.outcome.superseded');
+        case 'rolledBack': return translate('rolled back after a partial failure', 'stwil.trace.outcome.rolledBack');
+        case 'cancelled': return translate('cancelled to keep unsaved changes', 'stwil.trace.outcome.cancelled');
+        default: return translate('selection kept', 'stwil.trace.outcome.kept');
+    }
+}
+
+function describeTraceContext(traceContext) {
+    const parts = [];
+    if (traceContext.groupName) parts.push(`${translate('Group', 'stwil.trace.context.group')}: ${traceContext.groupName}`);
+    if (traceContext.characterName) parts.push(`${translate('Character', 'stwil.trace.context.character')}: ${traceContext.characterName}`);
+    if (traceContext.chatId) parts.push(`${translate('Chat', 'stwil.trace.context.chat')}: ${traceContext.chatId}`);
+    if (traceContext.personaName) parts.push(`${translate('Persona', 'stwil.trace.context.persona')}: ${traceContext.personaName}`);
+    return parts.join(' · ') || translate('None', 'stwil.common.none');
+}
+
+async function showResolutionTrace() {
+    const trace = traceResolution();
+    const winner = trace.winner;
+    const none = translate('None', 'stwil.common.none');
+
+    const winnerHtml = winner
+        ? tKey('stwil.trace.winner', '${0} wins with preset "${1}": ${2}', `<strong>${escapeHtml(winner.label)}</strong>`, escapeHtml(winner.presetName ?? winner.presetRef), escapeHtml(winner.reason))
+        : translate('Nothing applies: no lock, global default or selected preset.', 'stwil.trace.noWinner');
+
+    const rowsHtml = trace.candidates.map(candidate => `
+        <tr style="${candidate.status === 'winner' || candidate.status === 'missing' ? 'font-weight: bold;' : 'color: var(--grey70);'}">
+            <td>${escapeHtml(candidate.label)}${candidate.target ? `<br><small>${escapeHtml(candidate.target)}</small>` : ''}</td>
+            <td>${candidate.presetRef ? escapeHtml(candidate.presetName ?? candidate.presetRef) : none}</td>
+            <td>${candidate.enabled ? translate('Yes', 'stwil.common.yes') : translate('No', 'stwil.common.no')}</td>
+            <td>${getTraceStatusLabel(candidate.status)}<br><small>${escapeHtml(candidate.reason)}</small></td>
+        </tr>
+    `).join('');
+
+    const logHtml = resolutionLog.map(entry => `
+        <li>
+            <small>${new Date(entry.timestamp).toLocaleTimeString()} · ${escapeHtml(entry.trigger)} · ${escapeHtml(describeTraceContext(entry.context))}</small><br>
+            ${entry.winner ? `${escapeHtml(entry.winner.label)} → "${escapeHtml(entry.winner.presetName ?? entry.winner.presetRef)}"` : none} (${getTraceOutcomeLabel(entry.outcome)})
+        </li>
+    `).join('');
+
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${translate('Why is this preset active?', 'stwil.trace.title')}</h3>
+        <p><small>${escapeHtml(describeTraceContext(trace.context))}</small></p>
+        <p>${winnerHtml}</p>
+        <table style="width: 100%; text-align: left; border-collapse: collapse;">
+            <thead>
+                <tr>
+                    <th>${translate('Source', 'stwil.trace.column.source')}</th>
+                    <th>${translate('Preset', 'stwil.trace.column.preset')}</th>
+                    <th>${translate('Enabled', 'stwil.trace.column.enabled')}</th>
+                    <th>${translate('Result', 'stwil.trace.column.result')}</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+        <hr class="marginTopBot5">
+        <h4>${translate('Recent resolutions', 'stwil.trace.recent')}</h4>
+        ${logHtml ? `<ul style="text-align: left;">${logHtml}</ul>` : `<p><small>${translate('No lock checks have run yet.', 'stwil.trace.recentEmpty')}</small></p>`}
+    `;
+
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    await popup.show();
+}
+
+function renderTagLockRow(tagId = '', presetId = '') {
+    const tagOptions = (tags ?? [])
+        .toSorted((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+        .map(tag => `<option value="${escapeHtml(tag.id)}" ${tag.id === tagId ? 'selected' : ''}>${escapeHtml(tag.name)}</option>`)
+        .join('');
+    const presetOptions = settings.presetList
+        .map(preset => `<option value="${escapeHtml(preset.id)}" ${preset === findPreset(presetId) ? 'selected' : ''}>${escapeHtml(preset.name)}</option>`)
+        .join('');
+
+    return `
+        <div class="tagLockRow flex-container flexFlowRow alignItemsCenter flexNoWrap marginBot5">
+            <span class="drag-handle">&#9776;</span>
+            <select class="tagLockTag flex1">
+                <option value="">${translate('--- Pick a Tag ---', 'stwil.settings.dialog.tagLocks.pickTag')}</option>
+                ${tagOptions}
+            </select>
+            <select class="tagLockPreset flex1">
+                <option value="">${translate('--- Pick a Preset ---', 'stwil.select.placeholder')}</option>
+                ${presetOptions}
+            </select>
+            <div class="tagLockRemove menu_button redWarningBG fa-solid fa-trash-can" title="${translate('Remove tag lock', 'stwil.settings.dialog.tagLocks.remove')}"></div>
+        </div>
+    `;
+}
+
 async function showSettings() {
     const content = document.createElement('div');
     
     // Generate options for global default preset
     const presetOptions = settings.presetList
-        .map(preset => `<option value="${escapeHtml(preset.name)}" ${preset.name === settings.globalDefaultPreset ? 'selected' : ''}>${escapeHtml(preset.name)}</option>`)
+        .map(preset => `<option value="${escapeHtml(preset.id)}" ${preset === findPreset(settings.globalDefaultPreset) ? 'selected' : ''}>${escapeHtml(preset.name)}</option>`)
         .join('');
     
     content.innerHTML = `
@@ -909,15 +2470,106 @@ async function showSettings() {
                 <span>${translate('Enable chat locks', 'stwil.settings.dialog.enableChatLocks')}</span>
             </label>
             <label class="checkbox_label">
-                <input type="checkbox" id="preferChatOverCharacterLocks" ${settings.preferChatOverCharacterLocks ? 'checked' : ''}>
-                <span>${translate('Prefer chat locks over character/group locks', 'stwil.settings.dialog.preferChatOverCharacterLocks')}</span>
+                <input type="checkbox" id="enablePersonaLocks" ${settings.enablePersonaLocks ? 'checked' : ''}>
+                <span>${translate('Enable persona locks', 'stwil.settings.dialog.enablePersonaLocks')}</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" id="enableTagLocks" ${settings.enableTagLocks ? 'checked' : ''}>
+                <span>${translate('Enable tag locks', 'stwil.settings.dialog.enableTagLocks')}</span>
             </label>
             <label class="checkbox_label">
                 <input type="checkbox" id="showLockNotifications" ${settings.showLockNotifications ? 'checked' : ''}>
                 <span>${translate('Show lock notifications', 'stwil.settings.dialog.showLockNotifications')}</span>
             </label>
+            <div class="marginTopBot5">
+                <label for="presetPicker">${translate('Preset picker:', 'stwil.settings.dialog.presetPicker')}</label>
+                <select id="presetPicker">
+                    <option value="auto" ${settings.presetPicker === 'auto' ? 'selected' : ''}>${tKey('stwil.settings.dialog.presetPicker.auto', 'With ${0} or more presets', PRESET_PICKER_THRESHOLD)}</option>
+                    <option value="always" ${settings.presetPicker === 'always' ? 'selected' : ''}>${translate('Always', 'stwil.settings.dialog.presetPicker.always')}</option>
+                    <option value="never" ${settings.presetPicker === 'never' ? 'selected' : ''}>${translate('Never (plain dropdown)', 'stwil.settings.dialog.presetPicker.never')}</option>
+                </select>
+                <small class="displayBlock" style="color: var(--grey50);">${translate('Opens a searchable list with folders, favorites and recently used presets when you click the preset dropdown. The 🔍 button always opens it.', 'stwil.settings.dialog.presetPicker.tip')}</small>
+            </div>
+            <hr class="marginTopBot5">
+            <div class="marginBot10">
+                <h4 class="marginBot5">${translate('Keyboard Shortcuts:', 'stwil.settings.dialog.hotkeys.heading')}</h4>
+                <small class="displayBlock marginBot5" style="color: var(--grey50);">${translate('Click a field and press the key combination. Backspace clears it.', 'stwil.settings.dialog.hotkeys.tip')}</small>
+                ${Object.keys(HOTKEY_ACTIONS).map(renderHotkeyInput).join('')}
+                <label for="hotkeyLockType">${translate('Lock toggled by the shortcut:', 'stwil.settings.dialog.hotkeys.lockType')}</label>
+                <select id="hotkeyLockType">
+                    <option value="character" ${settings.hotkeyLockType === 'character' ? 'selected' : ''}>${translate('Character (group in group chats)', 'stwil.settings.dialog.hotkeys.lockType.character')}</option>
+                    <option value="chat" ${settings.hotkeyLockType === 'chat' ? 'selected' : ''}>${LOCK_SOURCES.chat.label()}</option>
+                    <option value="persona" ${settings.hotkeyLockType === 'persona' ? 'selected' : ''}>${LOCK_SOURCES.persona.label()}</option>
+                </select>
+            </div>
+            <hr class="marginTopBot5">
+            <div class="marginBot10">
+                <h4 class="marginBot5">${translate('Lock Priority:', 'stwil.settings.dialog.lockPriority.heading')}</h4>
+                <small class="displayBlock marginBot5" style="color: var(--grey50);">${translate('The first enabled source with a preset for the current context wins. Drag to reorder. The global default only applies when none of them does.', 'stwil.settings.dialog.lockPriority.tip')}</small>
+                <div id="lockPriorityList">
+                    ${getLockPriority().filter(source => source !== 'globalDefault').map(source => `
+                        <div class="lockPriorityItem flex-container flexFlowRow alignItemsCenter marginBot5" data-source="${source}">
+                            <span class="drag-handle">&#9776;</span>
+                            <span>${LOCK_SOURCES[source].label()}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="flex-container flexFlowRow alignItemsCenter marginBot5" style="color: var(--grey50);">
+                    <span class="fa-solid fa-lock"></span>
+                    <span>${LOCK_SOURCES.globalDefault.label()}</span>
+                </div>
+            </div>
+            <hr class="marginTopBot5">
+            <div class="marginBot10">
+                <h4 class="marginBot5">${translate('Tag Locks:', 'stwil.settings.dialog.tagLocks.heading')}</h4>
+                <small class="displayBlock marginBot5" style="color: var(--grey50);">${translate('Characters and groups with a mapped tag use its preset when nothing more specific is locked. If several of their tags are mapped, the one highest in this list wins. Drag to reorder.', 'stwil.settings.dialog.tagLocks.tip')}</small>
+                <div id="tagLockList">
+                    ${getOrderedTagLockIds()
+                        .map(tagId => renderTagLockRow(tagId, settings.tagLocks[tagId]))
+                        .join('')}
+                </div>
+                <div id="addTagLock" class="menu_button menu_button_icon">
+                    <i class="fa-solid fa-plus"></i>
+                    <span>${translate('Add tag lock', 'stwil.settings.dialog.tagLocks.add')}</span>
+                </div>
+            </div>
         </div>
     `;
+
+    const tagLockList = content.querySelector('#tagLockList');
+    tagLockList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('tagLockRemove')) {
+            e.target.closest('.tagLockRow').remove();
+        }
+    });
+    content.querySelector('#addTagLock').addEventListener('click', () => {
+        tagLockList.insertAdjacentHTML('beforeend', renderTagLockRow());
+    });
+    $(tagLockList).sortable({
+        delay: getSortableDelay(),
+        handle: '.drag-handle',
+    });
+
+    const lockPriorityList = content.querySelector('#lockPriorityList');
+    $(lockPriorityList).sortable({
+        delay: getSortableDelay(),
+        handle: '.drag-handle',
+    });
+
+    for (const input of content.querySelectorAll('.stwil--hotkeyInput')) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') return;
+            // Keep the popup and the global shortcuts from reacting while recording
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.key === 'Backspace' || e.key === 'Delete') {
+                input.value = '';
+                return;
+            }
+            const combo = formatHotkey(e);
+            if (combo) input.value = combo;
+        });
+    }
     
     const result = await callPopup(content, 'confirm');
     
@@ -929,199 +2581,112 @@ async function showSettings() {
         settings.enableCharacterLocks = content.querySelector('#enableCharacterLocks')?.checked || false;
         settings.enableGroupLocks = content.querySelector('#enableGroupLocks')?.checked || false;
         settings.enableChatLocks = content.querySelector('#enableChatLocks')?.checked || false;
-        settings.preferChatOverCharacterLocks = content.querySelector('#preferChatOverCharacterLocks')?.checked || false;
+        settings.enablePersonaLocks = content.querySelector('#enablePersonaLocks')?.checked || false;
+        settings.enableTagLocks = content.querySelector('#enableTagLocks')?.checked || false;
+        settings.lockPriority = [...Array.from(lockPriorityList.querySelectorAll('.lockPriorityItem')).map(item => item.dataset.source), 'globalDefault'];
         settings.showLockNotifications = content.querySelector('#showLockNotifications')?.checked || false;
+        settings.presetPicker = content.querySelector('#presetPicker')?.value || 'auto';
+        settings.hotkeys = Object.fromEntries(Array.from(content.querySelectorAll('.stwil--hotkeyInput')).map(input => [input.dataset.action, input.value]));
+        settings.hotkeyLockType = content.querySelector('#hotkeyLockType')?.value || 'character';
+
+        // Row order is the tag priority; the first row for a tag wins
+        const tagLocks = {};
+        const tagLockOrder = [];
+        for (const row of tagLockList.querySelectorAll('.tagLockRow')) {
+            const tagId = row.querySelector('.tagLockTag').value;
+            const presetId = row.querySelector('.tagLockPreset').value;
+            if (!tagId || !presetId || tagLocks[tagId]) continue;
+            tagLocks[tagId] = presetId;
+            tagLockOrder.push(tagId);
+        }
+        const oldTagLocks = settings.tagLocks;
+        settings.tagLocks = tagLocks;
+        settings.tagLockOrder = tagLockOrder;
+        clearContextCache();
+
+        emitLockChanged('globalDefault', null, newGlobalDefault, oldGlobalDefault);
+        for (const tagId of new Set([...Object.keys(oldTagLocks), ...Object.keys(tagLocks)])) {
+            emitLockChanged('tag', tagId, tagLocks[tagId], oldTagLocks[tagId]);
+        }
+        updateLockButton();
 
         saveSettingsDebounced();
 
         // If global default changed and we're in a context with no locks and no preset, apply the new default
         if (newGlobalDefault !== oldGlobalDefault && !settings.presetName && !hasAnyLocks()) {
-            checkAndApplyLocks();
+            scheduleLockCheck('settings_changed', 0);
         }
     }
 }
 
+// Settings requested before SillyTavern finished loading, and the callers waiting for them;
+// applied on APP_READY
+let appReady = false;
+let pendingEngineSettings = null;
+let pendingEngineWaiters = [];
+
+function onAppReadyApplyEngineSettings() {
+    appReady = true;
+    updateDirtyIndicator();
+    if (!pendingEngineSettings) return;
+    const opts = pendingEngineSettings;
+    const waiters = pendingEngineWaiters;
+    pendingEngineSettings = null;
+    pendingEngineWaiters = [];
+    applyWorldInfoEngineSettings(opts).then(
+        result => waiters.forEach(it => it.resolve({ ...result, deferred: true })),
+        error => waiters.forEach(it => it.reject(error)),
+    );
+}
+
 /**
- * Safely apply World Info engine settings without touching world_info or world_names.
+ * Apply World Info engine settings without touching world_info or world_names.
  * - Only applies fields you provide.
- * - Uses existing UI bindings (input/change events), so values persist and UI stays in sync.
- * - Does NOT call setWorldInfoSettings, so it won't reset world_info or world_names.
- * - Enhanced with retry mechanism and direct fallback for reliability.
+ * - Each value is written straight to the engine through its registry setter, so this works
+ *   whether or not the World Info panel has ever been opened. Controls that exist are refreshed
+ *   to show the new values, and the settings are saved once.
+ * - Before the app is ready, SillyTavern may still load its own settings over ours, so the
+ *   settings are held and applied on APP_READY (the last request wins). The returned promise
+ *   settles once they have actually been applied, with `deferred` set.
+ * - Exclusive settings are settled the way the engine's own controls would settle them
+ *   (min_activations wins over max_recursion_steps when both are > 0).
  *
- * Note: If you set both world_info_min_activations and world_info_max_recursion_steps to non-zero,
- * the built-in logic will zero the other. This function applies max_recursion_steps first and then
- * min_activations, so min_activations takes precedence if both are > 0.
- *
- * @param {Object} opts
- * @param {number} [opts.world_info_depth]
- * @param {number} [opts.world_info_min_activations]
- * @param {number} [opts.world_info_min_activations_depth_max]
- * @param {number} [opts.world_info_budget]
- * @param {boolean} [opts.world_info_include_names]
- * @param {boolean} [opts.world_info_recursive]
- * @param {boolean} [opts.world_info_overflow_alert]
- * @param {boolean} [opts.world_info_case_sensitive]
- * @param {boolean} [opts.world_info_match_whole_words]
- * @param {number} [opts.world_info_character_strategy] // 0 evenly, 1 character_first, 2 global_first
- * @param {number} [opts.world_info_budget_cap]
- * @param {boolean} [opts.world_info_use_group_scoring]
- * @param {number} [opts.world_info_max_recursion_steps]
- * @param {boolean} [retryOnFailure=true] - Whether to retry on validation failure
- * @param {number} [maxRetries=2] - Maximum retry attempts
- * @returns {Promise<{success: boolean, appliedSettings: Array, failedSettings: Array}>}
- */
-export async function applyWorldInfoEngineSettings(opts = {}, retryOnFailure = true, maxRetries = 2) {
-    const has = (k) => Object.prototype.hasOwnProperty.call(opts, k);
-
-    const setNumberInputWithFallback = async (selector, value, key) => {
-        const $el = $(selector);
-        if ($el.length) {
-            try {
-                $el.val(String(Number(value))).trigger('input');
-                await new Promise(resolve => setTimeout(resolve, 10));
-                return true;
-            } catch (error) {
-                console.warn(`STWIL: jQuery approach failed for ${key}, trying direct DOM:`, error);
-            }
-        }
-
-        // Direct DOM fallback
-        const el = document.querySelector(selector);
-        if (el) {
-            try {
-                el.value = String(Number(value));
-                el.dispatchEvent(new Event('input', { bubbles: true }));
-                return true;
-            } catch (error) {
-                console.error(`STWIL: Direct DOM approach also failed for ${key}:`, error);
-            }
-        }
-        return false;
-    };
-
-    const setCheckboxInputWithFallback = async (selector, value, eventType, key) => {
-        const $el = $(selector);
-        if ($el.length) {
-            try {
-                $el.prop('checked', Boolean(value)).trigger(eventType);
-                await new Promise(resolve => setTimeout(resolve, 10));
-                return true;
-            } catch (error) {
-                console.warn(`STWIL: jQuery approach failed for ${key}, trying direct DOM:`, error);
-            }
-        }
-
-        // Direct DOM fallback
-        const el = document.querySelector(selector);
-        if (el) {
-            try {
-                el.checked = Boolean(value);
-                el.dispatchEvent(new Event(eventType, { bubbles: true }));
-                return true;
-            } catch (error) {
-                console.error(`STWIL: Direct DOM approach also failed for ${key}:`, error);
-            }
-        }
-        return false;
-    };
+ * @param {Object.<string, number|boolean|string>} opts Settings keyed as in WORLD_INFO_SETTINGS_REGISTRY
+ * @returns {Promise<{success: boolean, appliedSettings: string[], failedSettings: string[], deferred: boolean}>}
+ */
+export async function applyWorldInfoEngineSettings(opts = {}) {
+    if (!appReady) {
+        pendingEngineSettings = { ...pendingEngineSettings, ...opts };
+        console.log('STWIL: Deferring world info settings until SillyTavern is ready', opts);
+        return new Promise((resolve, reject) => pendingEngineWaiters.push({ resolve, reject }));
+    }
 
-    const setSelectChangeWithFallback = async (selector, value, key) => {
-        const $el = $(selector);
-        if ($el.length) {
-            try {
-                $el.val(String(value)).trigger('change');
-                await new Promise(resolve => setTimeout(resolve, 10));
-                return true;
-            } catch (error) {
-                console.warn(`STWIL: jQuery approach failed for ${key}, trying direct DOM:`, error);
-            }
-        }
+    const definitions = getWorldInfoSettingDefinitions();
+    // Presets from newer versions can carry settings this version doesn't have; they are kept in
+    // the preset but can't be applied here, which isn't a failure
+    const knownOpts = Object.fromEntries(Object.entries(opts).filter(([key]) => definitions.some(def => def.key === key)));
+    const unknownKeys = Object.keys(opts).filter(key => !Object.prototype.hasOwnProperty.call(knownOpts, key));
+    if (unknownKeys.length > 0) {
+        console.warn('STWIL: Skipping world info settings this SillyTavern version does not have:', unknownKeys);
+    }
 
-        // Direct DOM fallback
-        const el = document.querySelector(selector);
-        if (el) {
-            try {
-                el.value = String(value);
-                el.dispatchEvent(new Event('change', { bubbles: true }));
-                return true;
-            } catch (error) {
-                console.error(`STWIL: Direct DOM approach also failed for ${key}:`, error);
-            }
-        }
-        return false;
-    };
+    const expected = getExpectedWorldInfoSettings(knownOpts);
+    for (const def of definitions) {
+        if (!Object.prototype.hasOwnProperty.call(expected, def.key)) continue;
+        def.set(expected[def.key]);
+        def.refresh?.(def.get());
+    }
+    saveSettingsDebounced();
 
-    // Apply all settings and track results
-    const applyAllSettings = async () => {
-        const results = [];
-
-        // Numbers (simple)
-        if (has('world_info_depth')) results.push({ key: 'world_info_depth', success: await setNumberInputWithFallback('#world_info_depth', opts.world_info_depth, 'world_info_depth') });
-        if (has('world_info_min_activations_depth_max')) results.push({ key: 'world_info_min_activations_depth_max', success: await setNumberInputWithFallback('#world_info_min_activations_depth_max', opts.world_info_min_activations_depth_max, 'world_info_min_activations_depth_max') });
-        if (has('world_info_budget')) results.push({ key: 'world_info_budget', success: await setNumberInputWithFallback('#world_info_budget', opts.world_info_budget, 'world_info_budget') });
-        if (has('world_info_budget_cap')) results.push({ key: 'world_info_budget_cap', success: await setNumberInputWithFallback('#world_info_budget_cap', opts.world_info_budget_cap, 'world_info_budget_cap') });
-
-        // Booleans (checkboxes)
-        if (has('world_info_include_names')) results.push({ key: 'world_info_include_names', success: await setCheckboxInputWithFallback('#world_info_include_names', opts.world_info_include_names, 'input', 'world_info_include_names') });
-        if (has('world_info_recursive')) results.push({ key: 'world_info_recursive', success: await setCheckboxInputWithFallback('#world_info_recursive', opts.world_info_recursive, 'input', 'world_info_recursive') });
-        if (has('world_info_case_sensitive')) results.push({ key: 'world_info_case_sensitive', success: await setCheckboxInputWithFallback('#world_info_case_sensitive', opts.world_info_case_sensitive, 'input', 'world_info_case_sensitive') });
-        if (has('world_info_match_whole_words')) results.push({ key: 'world_info_match_whole_words', success: await setCheckboxInputWithFallback('#world_info_match_whole_words', opts.world_info_match_whole_words, 'input', 'world_info_match_whole_words') });
-
-        // Selects / change-bound booleans
-        if (has('world_info_character_strategy')) results.push({ key: 'world_info_character_strategy', success: await setSelectChangeWithFallback('#world_info_character_strategy', opts.world_info_character_strategy, 'world_info_character_strategy') });
-        if (has('world_info_overflow_alert')) results.push({ key: 'world_info_overflow_alert', success: await setCheckboxInputWithFallback('#world_info_overflow_alert', opts.world_info_overflow_alert, 'change', 'world_info_overflow_alert') });
-        if (has('world_info_use_group_scoring')) results.push({ key: 'world_info_use_group_scoring', success: await setCheckboxInputWithFallback('#world_info_use_group_scoring', opts.world_info_use_group_scoring, 'change', 'world_info_use_group_scoring') });
-
-        // Order matters due to built-in mutual exclusivity:
-        // Apply max_recursion_steps first, then min_activations so min_activations "wins" if both are > 0.
-        if (has('world_info_max_recursion_steps')) results.push({ key: 'world_info_max_recursion_steps', success: await setNumberInputWithFallback('#world_info_max_recursion_steps', opts.world_info_max_recursion_steps, 'world_info_max_recursion_steps') });
-        if (has('world_info_min_activations')) results.push({ key: 'world_info_min_activations', success: await setNumberInputWithFallback('#world_info_min_activations', opts.world_info_min_activations, 'world_info_min_activations') });
-
-        return results;
+    const validation = validateSettingsApplied(knownOpts, 'STWIL-Apply');
+    const failedSettings = validation.mismatches.map(m => m.key);
+    return {
+        success: validation.success,
+        appliedSettings: Object.keys(knownOpts).filter(key => !failedSettings.includes(key)),
+        failedSettings,
+        deferred: false,
     };
-
-    // Initial application attempt
-    const applicationResults = await applyAllSettings();
-    const failedApplications = applicationResults.filter(r => !r.success).map(r => r.key);
-
-    if (failedApplications.length > 0) {
-        console.warn('STWIL: Some settings failed to apply via UI:', failedApplications);
-    }
-
-    // Validate and retry if necessary
-    let attempt = 0;
-    while (retryOnFailure && attempt < maxRetries) {
-        // Wait for UI to settle
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        const validation = validateSettingsApplied(opts, 'STWIL-Apply');
-        if (validation.success) {
-            console.log(`STWIL: Settings application successful on attempt ${attempt + 1}`);
-            return {
-                success: true,
-                appliedSettings: applicationResults.filter(r => r.success).map(r => r.key),
-                failedSettings: [],
-                attempt: attempt + 1
-            };
-        }
-
-        attempt++;
-        if (attempt < maxRetries) {
-            console.warn(`STWIL: Settings validation failed, retrying (${attempt + 1}/${maxRetries + 1})...`);
-            await applyAllSettings();
-        }
-    }
-
-    // Final validation
-    const finalValidation = validateSettingsApplied(opts, 'STWIL-Final');
-    return {
-        success: finalValidation.success,
-        appliedSettings: applicationResults.filter(r => r.success).map(r => r.key),
-        failedSettings: finalValidation.success ? [] : finalValidation.mismatches.map(m => m.key),
-        attempt: attempt + 1,
-        validationResult: finalValidation
-    };
-}
+}
 
 const loadBook = async(name)=>{
     const result = await fetch('/api/worldinfo/get', {
@@ -1143,282 +2708,2254 @@ const loadBook = async(name)=>{
     }
 };
 
-const importBooks = async(data)=>{
-    if (data.books && Object.keys(data.books).length > 0) {
-        const content = document.createElement('div');
-        content.innerHTML = `<h3>${translate('The preset contains World Info books. Import the books?', 'stwil.import.books.confirmTitle')}</h3>`;
-        const doImport = await callPopup(content, 'confirm');
-        if (doImport) {
-            for (const key of Object.keys(data.books)) {
-                const book = data.books[key];
-                const blob = new Blob([JSON.stringify(book)], { type:'text' });
-                const file = new File([blob], `${key}.json`);
-                await importWorldInfo(file);
-            }
+/**
+ * Save books, replacing local books of the same name. Callers have already asked about
+ * overwriting, so this doesn't go through SillyTavern's import and its second confirm.
+ * @param {Object.<string, Object>} books Book name -> book data as returned by {@link loadBook}
+ * @returns {Promise<Object.<string, string>>} Book name -> name it was saved under, which SillyTavern may have sanitized
+ */
+async function importBookData(books) {
+    const savedNames = {};
+    for (const [key, book] of Object.entries(books)) {
+        const name = world_names?.includes(key) ? key : await getSanitizedFilename(key);
+        // Back to the file format: entries keyed by UID, without the book name loadBook adds
+        const entries = Array.isArray(book.entries)
+            ? Object.fromEntries(book.entries.map((entry, index) => {
+                const copy = { ...entry };
+                delete copy.book;
+                return [copy.uid ?? index, copy];
+            }))
+            : book.entries;
+        const data = { ...book, entries };
+        delete data.book;
+        const result = await fetch('/api/worldinfo/edit', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ name, data }),
+        });
+        if (!result.ok) {
+            throw new Error(tKey('stwil.toast.saveBookFailed', 'Failed to save World Info book: ${0}', name));
         }
+        // The next load has to read the new file
+        worldInfoCache.delete(name);
+        savedNames[key] = name;
+    }
+    if (Object.keys(savedNames).length > 0) {
+        await updateWorldInfoList();
+    }
+    return savedNames;
+}
+
+/**
+ * @param {FileList} files
+ */
+const importPreset = async(files)=>{
+    for (let i = 0; i < files.length; i++) {
+        await importSinglePreset(files.item(i));
     }
 };
 
-const importCharacterLocks = async(data)=>{
-    if (data.characterLocks && Object.keys(data.characterLocks).length > 0) {
-        const content = document.createElement('div');
-        content.innerHTML = `<h3>${translate('The preset contains character locks. Import the character locks?', 'stwil.import.characterLocks.confirmTitle')}</h3>`;
-        const doImport = await callPopup(content, 'confirm');
-        if (doImport) {
-            Object.assign(settings.characterLocks, data.characterLocks);
-            saveSettingsDebounced();
+// Version of the preset export format. Bump it and add a migration whenever the format changes.
+const PRESET_SCHEMA_VERSION = 3;
+// Fields an export carries next to the preset itself
+const EXPORT_ONLY_KEYS = ['schemaVersion', 'characterLocks', 'groupLocks', 'groupLockTargets', 'chatLockTargets', 'isGlobalDefault', 'books'];
+
+/**
+ * Upgrades an export from the keyed schema version to the next one.
+ * @type {Object.<number, (data: Object) => Object>}
+ */
+const PRESET_SCHEMA_MIGRATIONS = {
+    // The original World Info Presets extension exported only a name and books
+    0: (data) => ({ ...data, worldInfoSettings: data.worldInfoSettings ?? null }),
+    // Exports from before the schema was versioned could carry an empty settings object for "none"
+    1: (data) => ({
+        ...data,
+        worldInfoSettings: data.worldInfoSettings && Object.keys(data.worldInfoSettings).length > 0 ? data.worldInfoSettings : null,
+    }),
+    // Group locks were keyed by group ID alone, which only means something on the install they came from
+    2: (data) => ({
+        ...data,
+        groupLockTargets: data.groupLockTargets ?? Object.keys(data.groupLocks ?? {}).map(groupId => ({ groupId, name: null, members: [] })),
+    }),
+};
+
+function detectPresetSchemaVersion(data) {
+    if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+    // Only this extension's unversioned exports have any of these
+    return ['id', 'worldInfoSettings', 'characterLocks', 'groupLocks', 'isGlobalDefault'].some(key => key in data) ? 1 : 0;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidGroupLockTarget(target) {
+    return isPlainObject(target)
+        && typeof target.groupId === 'string'
+        && (target.name === null || typeof target.name === 'string')
+        && Array.isArray(target.members)
+        && target.members.every(member => isPlainObject(member) && typeof member.avatar === 'string');
+}
+
+function isValidChatLockTarget(target) {
+    return isPlainObject(target)
+        && typeof target.chatId === 'string' && target.chatId !== ''
+        && (target.character === null || (isPlainObject(target.character) && typeof target.character.avatar === 'string'))
+        && (target.group === null || isValidGroupLockTarget(target.group));
+}
+
+/**
+ * Check an export against the current schema.
+ * @param {Object} data Export, already migrated
+ * @returns {string[]} One readable message per invalid field
+ */
+function validatePresetData(data) {
+    const errors = [];
+    const text = (field) => tKey('stwil.schema.error.text', '"${0}" must be text', field);
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        errors.push(tKey('stwil.schema.error.name', '"${0}" is missing or empty', 'name'));
+    }
+    if (!Array.isArray(data.worldList)) {
+        errors.push(tKey('stwil.schema.error.list', '"${0}" must be a list of book names', 'worldList'));
+    } else if (data.worldList.some(book => typeof book !== 'string')) {
+        errors.push(tKey('stwil.schema.error.listItems', '"${0}" may only contain book names', 'worldList'));
+    }
+    if (data.worldInfoSettings !== null && data.worldInfoSettings !== undefined) {
+        if (!isPlainObject(data.worldInfoSettings)) {
+            errors.push(tKey('stwil.schema.error.settings', '"${0}" must be an object of setting values or null', 'worldInfoSettings'));
+        } else {
+            for (const [key, value] of Object.entries(data.worldInfoSettings)) {
+                if (!['number', 'boolean', 'string'].includes(typeof value)) {
+                    errors.push(tKey('stwil.schema.error.settingValue', 'Setting "${0}" must be a number, true/false or text', key));
+                }
+            }
         }
     }
-};
+    for (const field of ['id', 'description', 'notes', 'author', 'source', 'folder']) {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') errors.push(text(field));
+    }
+    for (const field of ['createdAt', 'updatedAt']) {
+        if (data[field] !== undefined && data[field] !== null && !Number.isFinite(data[field])) {
+            errors.push(tKey('stwil.schema.error.timestamp', '"${0}" must be a timestamp', field));
+        }
+    }
+    for (const field of ['characterLocks', 'groupLocks', 'books']) {
+        if (data[field] !== undefined && !isPlainObject(data[field])) {
+            errors.push(tKey('stwil.schema.error.object', '"${0}" must be an object', field));
+        }
+    }
+    for (const [field, isValid] of [['groupLockTargets', isValidGroupLockTarget], ['chatLockTargets', isValidChatLockTarget]]) {
+        if (data[field] !== undefined && !(Array.isArray(data[field]) && data[field].every(isValid))) {
+            errors.push(tKey('stwil.schema.error.lockTargets', '"${0}" must be a list of lock targets', field));
+        }
+    }
+    if (data.isGlobalDefault !== undefined && typeof data.isGlobalDefault !== 'boolean') {
+        errors.push(tKey('stwil.schema.error.boolean', '"${0}" must be true or false', 'isGlobalDefault'));
+    }
+    return errors;
+}
 
-const importGroupLocks = async(data)=>{
-    if (data.groupLocks && Object.keys(data.groupLocks).length > 0) {
-        const content = document.createElement('div');
-        content.innerHTML = `<h3>${translate('The preset contains group locks. Import the group locks?', 'stwil.import.groupLocks.confirmTitle')}</h3>`;
-        const doImport = await callPopup(content, 'confirm');
-        if (doImport) {
-            Object.assign(settings.groupLocks, data.groupLocks);
-            saveSettingsDebounced();
+/**
+ * Bring an export up to the current schema and validate it.
+ * @param {any} data Parsed export file
+ * @returns {Object} The migrated export
+ * @throws {Error} Listing every invalid field
+ */
+function readPresetExport(data) {
+    if (!isPlainObject(data)) {
+        throw new Error(translate('The file does not contain a preset.', 'stwil.schema.error.notAnObject'));
+    }
+    if (data.entries && !data.worldList) {
+        throw new Error(translate('This is a World Info book, not a preset. Import it in the World Info panel.', 'stwil.schema.error.isBook'));
+    }
+
+    let version = detectPresetSchemaVersion(data);
+    if (version > PRESET_SCHEMA_VERSION) {
+        toastr.warning(tKey('stwil.toast.newerSchema', '"${0}" was exported by a newer version of this extension. Fields this version doesn\'t know are kept as they are.', escapeHtml(data.name ?? '')));
+    }
+    // Every step up to the current version needs a migration, e.g. a negative version has none
+    for (let step = version; step < PRESET_SCHEMA_VERSION; step++) {
+        if (!Object.prototype.hasOwnProperty.call(PRESET_SCHEMA_MIGRATIONS, step)) {
+            throw new Error([
+                translate('The file is not a valid preset:', 'stwil.schema.error.title'),
+                `• ${tKey('stwil.schema.error.version', '"${0}" ${1} is not a version this extension knows', 'schemaVersion', version)}`,
+            ].join('\n'));
         }
     }
-};
+    let migrated = data;
+    while (version < PRESET_SCHEMA_VERSION) {
+        migrated = PRESET_SCHEMA_MIGRATIONS[version](migrated);
+        version++;
+    }
 
-const importGlobalDefault = async(data, presetName)=>{
-    if (data.isGlobalDefault) {
-        const content = document.createElement('div');
-        content.innerHTML = `<h3>${tKey('stwil.import.globalDefault.confirmTitle', 'This preset was exported as a global default. Set "${0}" as your global default?', escapeHtml(presetName))}</h3>`;
-        const doImport = await callPopup(content, 'confirm');
-        if (doImport) {
-            settings.globalDefaultPreset = presetName;
-            updateSelect();
-            saveSettingsDebounced();
+    const errors = validatePresetData(migrated);
+    if (errors.length > 0) {
+        throw new Error([translate('The file is not a valid preset:', 'stwil.schema.error.title'), ...errors.map(error => `• ${error}`)].join('\n'));
+    }
+    return { ...migrated, schemaVersion: Math.max(version, PRESET_SCHEMA_VERSION) };
+}
+
+/**
+ * Fields of an export that are neither preset fields this version knows nor export-only.
+ * @param {Object} data
+ */
+function getExtraPresetFields(data) {
+    const known = new Preset();
+    return Object.fromEntries(Object.entries(data).filter(([key]) => !Object.hasOwn(known, key) && !EXPORT_ONLY_KEYS.includes(key)));
+}
+
+/**
+ * Take over the description, notes, author, source and timestamps of an exported preset.
+ * Files from older versions have none; they get the file name as their source.
+ * @param {Preset} preset
+ * @param {Object} data
+ * @param {File} file
+ */
+function applyImportedMetadata(preset, data, file) {
+    for (const key of PRESET_METADATA_KEYS) {
+        if (data[key] !== undefined && data[key] !== null) {
+            preset[key] = data[key];
         }
     }
-};
+    preset.source ||= file.name;
+    preset.createdAt ??= Date.now();
+    preset.updatedAt = data.updatedAt ?? Date.now();
+}
 
 /**
- * @param {FileList} files
+ * A name that isn't taken yet, for suggesting renames: "Name (2)", "Name (3)"...
+ * @param {string} name
+ * @param {(name: string) => boolean} isTaken
  */
-const importPreset = async(files)=>{
-    for (let i = 0; i < files.length; i++) {
-        await importSinglePreset(files.item(i));
+function getUniqueName(name, isTaken) {
+    let candidate = name;
+    for (let i = 2; isTaken(candidate); i++) {
+        candidate = `${name} (${i})`;
     }
-};
+    return candidate;
+}
 
 /**
- * @param {File} file
+ * Entries of a book as comparable strings, so files and installed books can be compared.
+ * @param {Object} book Book as returned by {@link loadBook}
  */
-const importSinglePreset = async(file)=>{
+function getBookEntrySignatures(book) {
+    return Object.values(book?.entries ?? {})
+        .map(entry => JSON.stringify([entry.uid, entry.key, entry.keysecondary, entry.content, entry.comment, entry.disable]))
+        .sort();
+}
+
+/**
+ * A locked group or chat described by what survives a move to another install: the group's
+ * name and member cards, the chat's ID and its character or group.
+ * @typedef {{groupId: string, name: string|null, members: {avatar: string, name: string}[]}} GroupLockTarget
+ * @typedef {{chatId: string, character: {avatar: string, name: string}|null, group: GroupLockTarget|null}} ChatLockTarget
+ */
+
+/**
+ * @param {string} groupId
+ * @returns {GroupLockTarget}
+ */
+function describeGroupLockTarget(groupId) {
+    const group = groups?.find(it => it.id === groupId);
+    return {
+        groupId,
+        name: group?.name ?? null,
+        members: (group?.members ?? []).map(avatar => ({ avatar, name: getCharacterLabel(avatar) })),
+    };
+}
+
+/**
+ * @param {string} chatId
+ * @param {ChatLockIndexEntry} entry
+ * @returns {ChatLockTarget}
+ */
+function describeChatLockTarget(chatId, entry) {
+    return {
+        chatId,
+        character: entry.characterId ? { avatar: entry.characterId, name: getCharacterLabel(entry.characterId) } : null,
+        group: entry.groupId ? describeGroupLockTarget(entry.groupId) : null,
+    };
+}
+
+/**
+ * The group and chat locks pointing at a preset, in portable form.
+ * @param {Preset} preset
+ */
+function getPortableLocks(preset) {
+    return {
+        groupLockTargets: Object.keys(settings.groupLocks)
+            .filter(groupId => findPreset(settings.groupLocks[groupId]) === preset)
+            .map(groupId => describeGroupLockTarget(groupId)),
+        chatLockTargets: Object.entries(settings.chatLockIndex)
+            .filter(([, entry]) => findPreset(entry.presetId) === preset)
+            .map(([chatId, entry]) => describeChatLockTarget(chatId, entry)),
+    };
+}
+
+// Lowest score at which a local group is suggested for an exported one: the same name, or half the members
+const GROUP_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Local groups ranked by how well they match an exported one. The same ID counts most, then the
+ * same name, then the share of member cards both have (same avatar or same card name).
+ * @param {GroupLockTarget} target
+ * @returns {{group: Object, score: number}[]} Best first; groups with nothing in common are left out
+ */
+function rankGroupMatches(target) {
+    const sameName = (a, b) => Boolean(a && b) && normalizeCharacterName(a).toLowerCase() === normalizeCharacterName(b).toLowerCase();
+    return (groups ?? [])
+        .map(group => {
+            const members = group.members ?? [];
+            const shared = members.filter(avatar => target.members.some(member => member.avatar === avatar || sameName(member.name, getCharacterLabel(avatar)))).length;
+            const total = members.length + target.members.length - shared;
+            let score = total > 0 ? shared / total : 0;
+            if (sameName(group.name, target.name)) score += 1;
+            if (group.id === target.groupId) score += 2;
+            return { group, score };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * @param {GroupLockTarget} target
+ * @returns {Object|null} The best matching local group, if it matches well enough
+ */
+function suggestGroup(target) {
+    const [best] = rankGroupMatches(target);
+    return best && best.score >= GROUP_MATCH_THRESHOLD ? best.group : null;
+}
+
+/**
+ * Local card for an exported character: the same avatar, or else the same name.
+ * @param {{avatar: string, name: string}|null} character
+ */
+function findLocalCharacter(character) {
+    if (!character) return null;
+    return characters?.find(it => it.avatar === character.avatar)
+        ?? characters?.find(it => character.name && normalizeCharacterName(it.name) === normalizeCharacterName(character.name))
+        ?? null;
+}
+
+/**
+ * Chats on this install an exported chat lock could belong to: those of the matching character,
+ * or of the best matching group.
+ * @param {ChatLockTarget} target
+ * @returns {Promise<{owner: string|null, chatIds: string[], failed: boolean}>} owner is the local character
+ *   or group name; failed if the character's chats couldn't be loaded
+ */
+async function getChatLockCandidates(target) {
+    if (target.group) {
+        const group = suggestGroup(target.group);
+        return { owner: group?.name ?? null, chatIds: group?.chats ?? [], failed: false };
+    }
+    const character = findLocalCharacter(target.character);
+    if (!character) return { owner: null, chatIds: [], failed: false };
     try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        let old = settings.presetList.find(it=>it.name.toLowerCase() == data.name.toLowerCase());
-        while (old) {
-            const importNameContent = document.createElement('div');
-            importNameContent.innerHTML = `
-                <h3>${tKey('stwil.import.nameConflict.title', 'Import World Info Preset: "${0}"', escapeHtml(data.name))}</h3>
-                <h4>${translate('A preset by that name already exists. Change the name to import under a new name, or keep the name to ovewrite the existing preset.', 'stwil.import.nameConflict.subtitle')}</h4>
-            `;
-            const newName = await callPopup(importNameContent, 'input', data.name);
-            if (newName == data.name) {
-                const overwriteContent = document.createElement('div');
-                overwriteContent.innerHTML = `<h3>${tKey('stwil.import.overwrite.title', 'Overwrite World Info Preset "${0}"?', escapeHtml(newName))}</h3>`;
-                const overwrite = await callPopup(overwriteContent, 'confirm');
-                if (overwrite) {
-                    old.worldList = data.worldList; 
-                    old.worldInfoSettings = data.worldInfoSettings ?? null;
-                    await importBooks(data);
-                    await importCharacterLocks(data);
-                    await importGroupLocks(data);
-                    await importGlobalDefault(data, newName);
-                    if (settings.preset == old) {
-                        activatePreset(old);
-                        saveSettingsDebounced();
-                    }
-                }
-                return;
+        const chats = await fetchCharacterChats(character.avatar, false);
+        return { owner: character.name, chatIds: chats.map(chat => String(chat.file_name).replace(/\.jsonl$/, '')), failed: false };
+    } catch (error) {
+        console.warn(`STWIL: Could not load the chats of "${character.name}"`, error);
+        return { owner: character.name, chatIds: [], failed: true };
+    }
+}
+
+/**
+ * Status, details and choices of a lock item, given what its target is locked to now.
+ * @param {string|null|undefined} currentRef
+ * @param {Preset|undefined} existing Preset of the same name already here
+ */
+function getLockItemState(currentRef, existing) {
+    const current = findPreset(currentRef);
+    if (!current) {
+        return { status: 'new', details: [], choices: ['import', 'skip'], choice: 'import' };
+    }
+    if (existing && current === existing) {
+        return { status: 'identical', details: [], choices: ['skip'], choice: 'skip' };
+    }
+    return {
+        status: 'conflict',
+        details: [tKey('stwil.importPreview.currentlyLocked', 'Currently "${0}"', current.name)],
+        choices: ['skip', 'overwrite'], choice: 'skip',
+    };
+}
+
+/**
+ * State of an item for the local group, chat or book it is mapped to.
+ * @param {'groupLock'|'chatLock'|'book'|'missingBook'} kind
+ * @param {string} target Local group ID, chat ID or book name, empty when nothing matches
+ * @param {Preset|undefined} existing
+ */
+function getRemapItemState(kind, target, existing) {
+    if (kind === 'book') {
+        // A book in the file that looks like one already here can use that one instead
+        return target
+            ? { status: 'new', details: [], choices: ['remap', 'import', 'rename', 'skip'], choice: 'remap' }
+            : { status: 'new', details: [], choices: ['import', 'rename', 'skip'], choice: 'import' };
+    }
+    if (kind === 'missingBook') {
+        return target
+            ? { status: 'missing', details: [], choices: ['remap', 'keep', 'remove'], choice: 'remap' }
+            : { status: 'missing', details: [], choices: ['keep', 'remove'], choice: 'keep' };
+    }
+    if (!target) {
+        return { status: 'unmatched', details: [], choices: ['skip'], choice: 'skip' };
+    }
+    return getLockItemState(kind === 'groupLock' ? settings.groupLocks[target] : getChatLockById(target), existing);
+}
+
+// Lowest similarity, by name or by entries, at which a local book is suggested for a missing one
+const BOOK_MATCH_THRESHOLD = 0.7;
+
+/**
+ * How alike two book names are, from 0 to 1. Case, spaces and punctuation are ignored, so
+ * "Lore v2" and "Lore_v2" count as the same name; otherwise shared letter pairs are counted.
+ * @param {string} a
+ * @param {string} b
+ */
+function getBookNameSimilarity(a, b) {
+    const normalize = (name) => String(name ?? '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const left = normalize(a);
+    const right = normalize(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const pairs = (text) => Array.from({ length: text.length - 1 }, (_, i) => text.slice(i, i + 2));
+    const leftPairs = pairs(left);
+    const remaining = pairs(right);
+    const total = leftPairs.length + remaining.length;
+    if (total === 0) return 0;
+    let shared = 0;
+    for (const pair of leftPairs) {
+        const index = remaining.indexOf(pair);
+        if (index !== -1) {
+            remaining.splice(index, 1);
+            shared++;
+        }
+    }
+    return 2 * shared / total;
+}
+
+/**
+ * Entries of a book by keywords and content only, so copies with other UIDs or comments still match.
+ * @param {Object|null} book
+ * @returns {Set<string>}
+ */
+function getBookContentSignatures(book) {
+    return new Set(Object.values(book?.entries ?? {}).map(entry => JSON.stringify([entry.key, entry.content])));
+}
+
+/**
+ * Local books that could stand in for a book this install doesn't have: by name, and by shared
+ * entries when the book's contents are known.
+ * @param {string} name
+ * @param {Object|null} [book] Contents of the missing book, if known
+ * @param {Map<string, Set<string>>} [contentCache] Entry signatures of local books, filled as they are loaded
+ * @returns {Promise<{name: string, score: number, reason: string}[]>} Close matches, best first
+ */
+async function suggestBookMatches(name, book = null, contentCache = new Map()) {
+    const incoming = getBookContentSignatures(book);
+    const matches = [];
+    for (const candidate of world_names ?? []) {
+        if (candidate === name) continue;
+        const nameScore = getBookNameSimilarity(name, candidate);
+        let contentScore = 0;
+        if (incoming.size > 0) {
+            if (!contentCache.has(candidate)) {
+                contentCache.set(candidate, getBookContentSignatures(await loadBook(candidate)));
+            }
+            const local = contentCache.get(candidate);
+            const shared = [...incoming].filter(entry => local.has(entry)).length;
+            contentScore = shared / Math.max(incoming.size, local.size);
+        }
+        const score = Math.max(nameScore, contentScore);
+        if (score < BOOK_MATCH_THRESHOLD) continue;
+        matches.push({
+            name: candidate,
+            score,
+            reason: contentScore > nameScore
+                ? tKey('stwil.bookRemap.reason.content', '${0}% same entries', Math.round(contentScore * 100))
+                : translate('similar name', 'stwil.bookRemap.reason.name'),
+        });
+    }
+    return matches.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Options for mapping a book: the suggestions with their reason first, then every other local book.
+ * @param {{name: string, reason: string}[]} matches
+ */
+function getBookTargets(matches) {
+    const others = (world_names ?? []).filter(book => !matches.some(match => match.name === book)).sort((a, b) => a.localeCompare(b));
+    return [
+        ...matches.map(match => ({ value: match.name, label: `${match.name} (${match.reason})` })),
+        ...others.map(book => ({ value: book, label: book })),
+    ];
+}
+
+/**
+ * One item per book a preset names that is neither here nor in the file, with the closest
+ * local book suggested in its place.
+ * @param {string[]} names
+ * @returns {Promise<ImportItem[]>}
+ */
+async function buildMissingBookItems(names) {
+    const items = [];
+    for (const name of names) {
+        const matches = await suggestBookMatches(name);
+        const target = matches[0]?.name ?? '';
+        items.push({ kind: 'missingBook', key: name, label: name, targets: getBookTargets(matches), target, ...getRemapItemState('missingBook', target) });
+    }
+    return items;
+}
+
+/**
+ * Apply the choices of book items to a preset's book list: 'remap' swaps in the chosen local
+ * book, 'remove' drops the book, anything else leaves it as it is.
+ * @param {string[]} worldList
+ * @param {ImportItem[]} items
+ */
+function remapWorldList(worldList, items) {
+    let result = [...worldList];
+    for (const item of items.filter(it => it.kind === 'book' || it.kind === 'missingBook')) {
+        if (item.choice === 'remap' && item.target) {
+            result = result.map(book => book === item.key ? item.target : book);
+        } else if (item.choice === 'remove') {
+            result = result.filter(book => book !== item.key);
+        }
+    }
+    // Two books may have been mapped to the same local one
+    return [...new Set(result)];
+}
+
+/**
+ * Everything an export would write, each compared with what is already here. Group and chat
+ * locks, books that look like local ones and books missing altogether also carry the local
+ * groups, chats or books they can be mapped to, the suggested one selected.
+ * @typedef {{kind: 'preset'|'book'|'missingBook'|'characterLock'|'groupLock'|'chatLock'|'globalDefault', key: string, label: string, status: 'new'|'identical'|'conflict'|'unmatched'|'missing', details: string[], choices: string[], choice: string, newName?: string, matchDetails?: string[], targets?: {value: string, label: string}[], target?: string}} ImportItem
+ * @param {Object} data Validated export
+ * @returns {Promise<ImportItem[]>}
+ */
+async function buildImportItems(data) {
+    const items = [];
+    const existing = findPresetByName(data.name);
+
+    if (!existing) {
+        items.push({ kind: 'preset', key: data.name, label: data.name, status: 'new', details: [], choices: ['import', 'rename', 'skip'], choice: 'import' });
+    } else {
+        const drift = diffPresetStates(capturePresetState(existing), { worldList: data.worldList, worldInfoSettings: data.worldInfoSettings ?? null });
+        const details = describePresetDrift(drift);
+        items.push(details.length === 0
+            ? { kind: 'preset', key: data.name, label: data.name, status: 'identical', details, choices: ['skip', 'rename'], choice: 'skip' }
+            : { kind: 'preset', key: data.name, label: data.name, status: 'conflict', details, choices: ['rename', 'overwrite', 'skip'], choice: 'rename' });
+    }
+
+    const contentCache = new Map();
+    for (const [name, book] of Object.entries(data.books ?? {})) {
+        if (!world_names?.includes(name)) {
+            const matches = await suggestBookMatches(name, book, contentCache);
+            if (matches.length === 0) {
+                items.push({ kind: 'book', key: name, label: name, ...getRemapItemState('book', '') });
             } else {
-                data.name = newName;
-                old = settings.presetList.find(it=>it.name.toLowerCase() == data.name.toLowerCase());
+                items.push({ kind: 'book', key: name, label: name, targets: getBookTargets(matches), target: matches[0].name, ...getRemapItemState('book', matches[0].name) });
             }
+            continue;
+        }
+        const incoming = getBookEntrySignatures(book);
+        const current = getBookEntrySignatures(await loadBook(name));
+        const differing = incoming.filter(entry => !current.includes(entry)).length + current.filter(entry => !incoming.includes(entry)).length;
+        items.push(differing === 0
+            ? { kind: 'book', key: name, label: name, status: 'identical', details: [], choices: ['skip', 'rename'], choice: 'skip' }
+            : {
+                kind: 'book', key: name, label: name, status: 'conflict',
+                details: [tKey('stwil.importPreview.bookDiff', '${0} entries in the file, ${1} here; ${2} differ', incoming.length, current.length, differing)],
+                choices: ['skip', 'rename', 'overwrite'], choice: 'skip',
+            });
+    }
+    items.push(...await buildMissingBookItems(data.worldList.filter(book => !world_names?.includes(book) && !data.books?.[book])));
+
+    const lockItem = (kind, key, label, currentRef) => ({ kind, key, label, ...getLockItemState(currentRef, existing) });
+    for (const characterKey of Object.keys(data.characterLocks ?? {})) {
+        items.push(lockItem('characterLock', characterKey, getCharacterLabel(characterKey), settings.characterLocks[characterKey]));
+    }
+
+    // groupLocks is still written for older versions; groupLockTargets describes the same locks portably
+    for (const target of data.groupLockTargets ?? []) {
+        const ranked = rankGroupMatches(target);
+        const suggested = suggestGroup(target);
+        const others = (groups ?? []).filter(group => !ranked.some(match => match.group === group)).sort((a, b) => a.name.localeCompare(b.name));
+        const matchDetails = target.members.length > 0
+            ? [tKey('stwil.importPreview.members', 'Members: ${0}', target.members.map(member => member.name || member.avatar).join(', '))]
+            : [];
+        items.push({
+            kind: 'groupLock', key: target.groupId, label: target.name ?? target.groupId, matchDetails,
+            targets: [...ranked.map(match => match.group), ...others].map(group => ({ value: group.id, label: group.name })),
+            target: suggested?.id ?? '',
+            ...getRemapItemState('groupLock', suggested?.id ?? '', existing),
+        });
+    }
+    for (const target of data.chatLockTargets ?? []) {
+        const { owner, chatIds, failed } = await getChatLockCandidates(target);
+        const exportedOwner = target.group?.name ?? target.character?.name ?? target.character?.avatar ?? '';
+        const matchDetails = [owner
+            ? tKey('stwil.importPreview.chatOf', 'Chat with ${0}, here: ${1}', exportedOwner, owner)
+            : tKey('stwil.importPreview.noOwner', 'Chat with ${0}, which is not on this install', exportedOwner)];
+        if (failed) {
+            matchDetails.push(tKey('stwil.importPreview.chatsUnavailable', "The chats of ${0} couldn't be loaded", owner));
+        }
+        const suggested = chatIds.includes(target.chatId) ? target.chatId : '';
+        items.push({
+            kind: 'chatLock', key: target.chatId, label: target.chatId, matchDetails,
+            targets: chatIds.map(chatId => ({ value: chatId, label: chatId })),
+            target: suggested,
+            ...getRemapItemState('chatLock', suggested, existing),
+        });
+    }
+
+    if (data.isGlobalDefault) {
+        items.push(lockItem('globalDefault', '', translate('Global default', 'stwil.lockSource.globalDefault'), settings.globalDefaultPreset));
+    }
+    return items;
+}
+
+function getImportKindLabel(kind) {
+    switch (kind) {
+        case 'preset': return translate('Preset', 'stwil.trace.column.preset');
+        case 'book': return translate('Book', 'stwil.importPreview.kind.book');
+        case 'missingBook': return translate('Missing book', 'stwil.importPreview.kind.missingBook');
+        case 'characterLock': return LOCK_SOURCES.character.label();
+        case 'groupLock': return LOCK_SOURCES.group.label();
+        case 'chatLock': return LOCK_SOURCES.chat.label();
+        default: return translate('Global default', 'stwil.lockSource.globalDefault');
+    }
+}
+
+function getImportStatusLabel(status) {
+    switch (status) {
+        case 'new': return translate('New', 'stwil.importPreview.status.new');
+        case 'identical': return translate('Identical', 'stwil.importPreview.status.identical');
+        case 'unmatched': return translate('No match', 'stwil.importPreview.status.unmatched');
+        case 'missing': return translate('Not on this install', 'stwil.importPreview.status.missing');
+        default: return translate('Conflict', 'stwil.importPreview.status.conflict');
+    }
+}
+
+function getImportChoiceLabel(choice) {
+    switch (choice) {
+        case 'import': return translate('Import', 'stwil.importPreview.choice.import');
+        case 'rename': return translate('Import as...', 'stwil.importPreview.choice.rename');
+        case 'overwrite': return translate('Overwrite', 'stwil.importPreview.choice.overwrite');
+        case 'remap': return translate('Use the selected book', 'stwil.importPreview.choice.remap');
+        case 'keep': return translate('Keep the name', 'stwil.importPreview.choice.keep');
+        case 'remove': return translate('Remove from preset', 'stwil.importPreview.choice.remove');
+        default: return translate('Skip', 'stwil.importPreview.choice.skip');
+    }
+}
+
+function renderImportDetails(item) {
+    return [...item.matchDetails ?? [], ...item.details].map(line => escapeHtml(line)).join('<br>');
+}
+
+function renderImportChoices(item) {
+    return item.choices.map(choice => `<option value="${choice}" ${choice === item.choice ? 'selected' : ''}>${getImportChoiceLabel(choice)}</option>`).join('');
+}
+
+function renderImportTargets(item) {
+    const none = item.kind === 'book' || item.kind === 'missingBook'
+        ? translate('(none)', 'stwil.importPreview.noBook')
+        : translate('(not on this install)', 'stwil.importPreview.noTarget');
+    return `
+        <option value="">${none}</option>
+        ${item.targets.map(target => `<option value="${escapeHtml(target.value)}" ${target.value === item.target ? 'selected' : ''}>${escapeHtml(target.label)}</option>`).join('')}
+    `;
+}
+
+function renderImportTable(items) {
+    return `
+        <table style="width: 100%; text-align: left; border-collapse: collapse;">
+            <tbody>
+                ${items.map((item, index) => `
+                    <tr data-index="${index}">
+                        <td>
+                            <small>${getImportKindLabel(item.kind)}</small><br>${escapeHtml(item.label)}
+                            ${item.targets ? `<br><small>${translate('Here:', 'stwil.importPreview.target')}</small> <select class="stwil--importTarget">${renderImportTargets(item)}</select>` : ''}
+                        </td>
+                        <td class="stwil--importStatus">${getImportStatusLabel(item.status)}</td>
+                        <td><small class="stwil--importDetails">${renderImportDetails(item)}</small></td>
+                        <td>
+                            <select class="stwil--importChoice">${renderImportChoices(item)}</select>
+                            ${item.choices.includes('rename') ? `<input type="text" class="text_pole stwil--importName" value="${escapeHtml(item.newName)}" ${item.choice === 'rename' ? '' : 'hidden'}>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+const IMPORT_LOCK_KINDS = ['characterLock', 'groupLock', 'chatLock', 'globalDefault'];
+
+/**
+ * Locks in an export can only point at its preset, so they are skipped while the preset is
+ * skipped and no preset of that name is here.
+ */
+function updateImportLockRows(content, items, existing) {
+    const presetRow = Array.from(content.querySelectorAll('tr[data-index]')).find(row => items[Number(row.dataset.index)].kind === 'preset');
+    if (!presetRow || existing) return;
+    const presetSkipped = presetRow.querySelector('.stwil--importChoice').value === 'skip';
+    for (const row of content.querySelectorAll('tr[data-index]')) {
+        const item = items[Number(row.dataset.index)];
+        if (!IMPORT_LOCK_KINDS.includes(item.kind)) continue;
+        const choice = row.querySelector('.stwil--importChoice');
+        choice.disabled = presetSkipped;
+        choice.value = presetSkipped ? 'skip' : item.choice;
+        choice.title = presetSkipped ? translate('Skipped because the preset is skipped', 'stwil.importPreview.needsPreset') : '';
+    }
+}
+
+/**
+ * Keep the rows of {@link renderImportTable} up to date: a new target changes an item's status
+ * and choices, the name field only shows for "Import as...", and locks follow the preset's choice.
+ * @param {HTMLElement} content
+ * @param {ImportItem[]} items
+ * @param {Preset|undefined} existing Preset of the same name already here
+ */
+function bindImportRows(content, items, existing) {
+    updateImportLockRows(content, items, existing);
+    content.addEventListener('change', (e) => {
+        const row = e.target.closest('tr');
+        const nameInput = row?.querySelector('.stwil--importName');
+        if (e.target.classList.contains('stwil--importTarget')) {
+            const item = items[Number(row.dataset.index)];
+            Object.assign(item, { target: e.target.value }, getRemapItemState(item.kind, e.target.value, existing));
+            row.querySelector('.stwil--importStatus').textContent = getImportStatusLabel(item.status);
+            row.querySelector('.stwil--importDetails').innerHTML = renderImportDetails(item);
+            row.querySelector('.stwil--importChoice').innerHTML = renderImportChoices(item);
+            if (nameInput) nameInput.hidden = item.choice !== 'rename';
+            updateImportLockRows(content, items, existing);
+            return;
+        }
+        if (!e.target.classList.contains('stwil--importChoice')) return;
+        if (nameInput) nameInput.hidden = e.target.value !== 'rename';
+        updateImportLockRows(content, items, existing);
+    });
+}
+
+/**
+ * Store the choices made in the rows of {@link renderImportTable} on the items.
+ * @param {HTMLElement} content
+ * @param {ImportItem[]} items
+ */
+function readImportRows(content, items) {
+    for (const row of content.querySelectorAll('tr[data-index]')) {
+        const item = items[Number(row.dataset.index)];
+        item.choice = row.querySelector('.stwil--importChoice').value;
+        item.target = row.querySelector('.stwil--importTarget')?.value ?? item.target;
+        item.newName = row.querySelector('.stwil--importName')?.value.trim() ?? item.newName;
+    }
+}
+
+/**
+ * One screen listing everything in an export with a choice per item. Group and chat locks are
+ * mapped to a local group or chat here, and books to local books, starting from the suggested
+ * match. Nothing is written here; the choices are stored on the items.
+ * @param {Object} data
+ * @param {File} file
+ * @param {ImportItem[]} items
+ * @returns {Promise<boolean>} false if cancelled
+ */
+async function showImportPreview(data, file, items) {
+    for (const item of items) {
+        if (!item.choices.includes('rename')) continue;
+        item.newName = item.kind === 'book'
+            ? getUniqueName(item.key, name => world_names?.includes(name))
+            : getUniqueName(item.key, name => Boolean(findPresetByName(name)));
+    }
+
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${tKey('stwil.importPreview.title', 'Import "${0}"', escapeHtml(file.name))}</h3>
+        <p><small>${translate('Choose what to do with each item. Nothing is written until you click Import.', 'stwil.importPreview.tip')}</small></p>
+        ${renderImportTable(items)}
+    `;
+    bindImportRows(content, items, findPresetByName(data.name));
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('Import', 'stwil.importPreview.choice.import'),
+        cancelButton: translate('Cancel', 'stwil.common.cancel'),
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    if (await popup.show() !== POPUP_RESULT.AFFIRMATIVE) return false;
+    readImportRows(content, items);
+    return true;
+}
+
+/**
+ * Write the items chosen in the import preview. Names are checked before anything is written.
+ * @param {Object} data
+ * @param {File} file
+ * @param {ImportItem[]} items
+ */
+async function applyImportItems(data, file, items) {
+    for (const item of items.filter(it => it.choice === 'rename')) {
+        const taken = item.kind === 'book' ? world_names?.includes(item.newName) : findPresetByName(item.newName);
+        if (!item.newName || taken) {
+            throw new Error(tKey('stwil.importPreview.nameTaken', '"${0}" is empty or already taken', item.newName ?? ''));
+        }
+    }
+    const bookNames = items
+        .filter(it => it.kind === 'book' && ['import', 'rename', 'overwrite'].includes(it.choice))
+        .map(it => it.choice === 'rename' ? it.newName : it.key);
+    const duplicate = bookNames.find((name, index) => bookNames.indexOf(name) !== index);
+    if (duplicate) {
+        throw new Error(tKey('stwil.importPreview.nameTwice', '"${0}" is chosen for more than one book', duplicate));
+    }
+
+    // Books first, so the preset can follow renamed books
+    let worldList = [...data.worldList];
+    const books = {};
+    for (const item of items.filter(it => it.kind === 'book' && ['import', 'rename', 'overwrite'].includes(it.choice))) {
+        const name = item.choice === 'rename' ? item.newName : item.key;
+        books[name] = data.books[item.key];
+        if (name !== item.key && worldList.includes(item.key)) {
+            worldList.splice(worldList.indexOf(item.key), 1, name);
+        }
+    }
+    const savedNames = await importBookData(books);
+    worldList = worldList.map(name => savedNames[name] ?? name);
+    worldList = remapWorldList(worldList, items);
+
+    const presetItem = items.find(it => it.kind === 'preset');
+    const existing = findPresetByName(data.name);
+    let preset = null;
+    if (presetItem.choice === 'overwrite') {
+        preset = existing;
+        const previous = capturePresetState(preset);
+        preset.worldList = worldList;
+        preset.worldInfoSettings = data.worldInfoSettings ?? null;
+        applyImportedMetadata(preset, data, file);
+        Object.assign(preset.extra, getExtraPresetFields(data));
+        recordPresetRevision(preset, previous, 'imported');
+        emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'imported', previousName: null });
+    } else if (presetItem.choice === 'import' || presetItem.choice === 'rename') {
+        preset = new Preset();
+        // Keep the exported ID when it is free, so re-importing on another install stays stable
+        preset.id = data.id && !findPresetById(data.id) ? data.id : uuidv4();
+        preset.name = presetItem.choice === 'rename' ? presetItem.newName : data.name;
+        preset.worldList = worldList;
+        preset.worldInfoSettings = data.worldInfoSettings ?? null;
+        applyImportedMetadata(preset, data, file);
+        preset.extra = getExtraPresetFields(data);
+        settings.presetList.push(preset);
+        emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'imported', previousName: null });
+    } else {
+        // Locks in the file can still point at the preset that is already here
+        preset = existing ?? null;
+    }
+
+    // Exported lock maps only ever reference the exported preset, so imported locks
+    // are pointed at the preset's ID on this install. Group and chat locks go to the mapped target.
+    if (preset) {
+        for (const item of items.filter(it => it.choice === 'import' || it.choice === 'overwrite')) {
+            if (item.kind === 'characterLock') {
+                const previous = settings.characterLocks[item.key];
+                settings.characterLocks[item.key] = preset.id;
+                emitLockChanged('character', item.key, preset.id, previous);
+            } else if (item.kind === 'groupLock' && item.target) {
+                const previous = settings.groupLocks[item.target];
+                settings.groupLocks[item.target] = preset.id;
+                emitLockChanged('group', item.target, preset.id, previous);
+            } else if (item.kind === 'chatLock' && item.target) {
+                lockChatById(item.target, preset.id);
+            } else if (item.kind === 'globalDefault') {
+                const previous = settings.globalDefaultPreset;
+                settings.globalDefaultPreset = preset.id;
+                emitLockChanged('globalDefault', null, preset.id, previous);
+            }
+        }
+    }
+
+    updateSelect();
+    saveSettingsDebounced();
+    // Older exports are keyed by character name
+    if (items.some(it => it.kind === 'characterLock' && it.choice !== 'skip')) {
+        await migrateCharacterLocksToAvatars();
+    }
+    if (presetItem.choice === 'overwrite' && settings.preset === preset) {
+        activatePreset(preset).catch(reportActivationFailure);
+    }
+}
+
+/**
+ * @param {File} file
+ */
+const importSinglePreset = async(file)=>{
+    try {
+        const text = await file.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error(translate('The file is not valid JSON.', 'stwil.schema.error.json'));
+        }
+        if (data?.type === BACKUP_TYPE) {
+            await restoreBackup(data, file);
+            return;
+        }
+        data = readPresetExport(data);
+
+        const items = await buildImportItems(data);
+        if (!await showImportPreview(data, file, items)) return;
+        await applyImportItems(data, file, items);
+    } catch (ex) {
+        toastr.error(tKey('stwil.toast.importFailed', 'Failed to import "${0}":\n\n${1}', escapeHtml(file.name), escapeHtml(ex.message)));
+    }
+};
+
+function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url); // Clean up
+}
+
+const BACKUP_TYPE = 'stwil-backup';
+const BACKUP_VERSION = 1;
+// Lock maps keyed by what they lock; values are preset IDs
+const BACKUP_LOCK_MAPS = { character: 'characterLocks', group: 'groupLocks', persona: 'personaLocks', tag: 'tagLocks' };
+// Extension settings that travel with a backup when "restore settings" is chosen
+const BACKUP_SETTING_KEYS = [
+    'enableCharacterLocks', 'enableGroupLocks', 'enableChatLocks', 'enablePersonaLocks', 'enableTagLocks',
+    'showLockNotifications', 'lockPriority', 'presetPicker', 'hotkeys', 'hotkeyLockType',
+];
+
+/**
+ * Everything needed to rebuild the preset library on another install. Chat locks are those in
+ * the chat lock index, filled from every chat the first time it is needed.
+ * @param {boolean} includeBooks Add the contents of every book a preset references
+ */
+async function createBackup(includeBooks) {
+    await scanChatLocks();
+    const data = {
+        type: BACKUP_TYPE,
+        version: BACKUP_VERSION,
+        exportedAt: Date.now(),
+        presets: settings.presetList.map(preset => ({ ...structuredClone(preset.toJSON()), schemaVersion: PRESET_SCHEMA_VERSION })),
+        locks: {
+            ...Object.fromEntries(Object.values(BACKUP_LOCK_MAPS).map(key => [key, structuredClone(settings[key])])),
+            tagLockOrder: [...settings.tagLockOrder],
+            globalDefaultPreset: settings.globalDefaultPreset,
+            presetNameAliases: structuredClone(settings.presetNameAliases),
+        },
+        // Tag IDs differ between installs, so restores fall back to the tag name
+        tagNames: Object.fromEntries(Object.keys(settings.tagLocks).map(tagId => [tagId, getTagName(tagId)])),
+        // Group IDs differ too; restores fall back to the group's name and members
+        groupTargets: Object.fromEntries(Object.keys(settings.groupLocks).map(groupId => [groupId, describeGroupLockTarget(groupId)])),
+        chatLocks: Object.entries(settings.chatLockIndex).map(([chatId, entry]) => ({ ...describeChatLockTarget(chatId, entry), presetId: entry.presetId })),
+        favoritePresets: [...settings.favoritePresets],
+        settings: Object.fromEntries(BACKUP_SETTING_KEYS.map(key => [key, structuredClone(settings[key])])),
+    };
+
+    if (includeBooks) {
+        const names = [...new Set(settings.presetList.flatMap(preset => preset.worldList))].filter(book => world_names?.includes(book));
+        data.books = {};
+        for (const book of names) {
+            const bookData = await loadBook(book);
+            if (bookData) {
+                data.books[book] = bookData;
+            }
+        }
+    }
+    return data;
+}
+
+async function showBackupDialog() {
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${translate('Library Backup', 'stwil.backup.title')}</h3>
+        <p>${translate('A backup holds every preset, all character, group, chat, persona and tag locks, the global default and the extension settings. The first backup or export reads every character chat once to find chat locks set before this version. Locks set before this version in group chats are included once the chat has been opened.', 'stwil.backup.body')}</p>
+        <label class="checkbox_label">
+            <input type="checkbox" id="stwil--backupBooks">
+            <span>${translate("Include the contents of every book the presets use", 'stwil.backup.includeBooks')}</span>
+        </label>
+        <p><small>${translate('Restore a backup here or with the 📥 Import button.', 'stwil.backup.restoreTip')}</small></p>
+    `;
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('Back up everything', 'stwil.backup.create'),
+        cancelButton: translate('Cancel', 'stwil.common.cancel'),
+        customButtons: [{
+            text: translate('Restore a backup...', 'stwil.backup.restore'),
+            classes: ['menu_button'],
+            result: POPUP_RESULT.CUSTOM1,
+        }],
+    });
+    const result = await popup.show();
+
+    if (result === POPUP_RESULT.AFFIRMATIVE) {
+        const data = await createBackup(content.querySelector('#stwil--backupBooks').checked);
+        downloadJson(data, `SillyTavern-WorldInfoPresets-Backup-${new Date().toISOString().slice(0, 10)}.json`);
+    } else if (result === POPUP_RESULT.CUSTOM1) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.addEventListener('change', async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+            try {
+                const data = JSON.parse(await file.text());
+                if (data.type !== BACKUP_TYPE) {
+                    toastr.warning(tKey('stwil.toast.notABackup', '"${0}" is not a World Info Presets backup. Use 📥 Import for single presets.', escapeHtml(file.name)));
+                    return;
+                }
+                await restoreBackup(data, file);
+            } catch (ex) {
+                toastr.error(tKey('stwil.toast.importFailed', 'Failed to import "${0}":\n\n${1}', escapeHtml(file.name), escapeHtml(ex.message)));
+            }
+        });
+        input.click();
+    }
+}
+
+/**
+ * Find the tag a backed-up tag lock meant: the same ID, or else a tag with the same name.
+ * @returns {string|null}
+ */
+function resolveBackupTag(tagId, tagName) {
+    if (tags?.some(tag => tag.id === tagId)) return tagId;
+    return tags?.find(tag => tagName && tag.name.toLowerCase() === tagName.toLowerCase())?.id ?? null;
+}
+
+/**
+ * Find the group a backed-up group lock meant: the same ID, or else the best match by name and members.
+ * @param {string} groupId
+ * @param {GroupLockTarget|undefined} target
+ * @returns {string|null}
+ */
+function resolveBackupGroup(groupId, target) {
+    if (groups?.some(group => group.id === groupId)) return groupId;
+    return isValidGroupLockTarget(target) ? suggestGroup(target)?.id ?? null : null;
+}
+
+/**
+ * Restore a backup, either merged into the library or replacing it, and report what changed.
+ * @param {Object} data Backup from {@link createBackup}
+ * @param {File} file
+ */
+async function restoreBackup(data, file) {
+    const bookCount = Object.keys(data.books ?? {}).length;
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${tKey('stwil.restore.title', 'Restore Backup "${0}"', escapeHtml(file.name))}</h3>
+        <p>${tKey('stwil.restore.contents', 'Made ${0} with ${1} presets and ${2} books.', data.exportedAt ? new Date(data.exportedAt).toLocaleString() : translate('Unknown', 'stwil.common.unknown'), data.presets?.length ?? 0, bookCount)}</p>
+        <div style="text-align: left;">
+            <label class="checkbox_label">
+                <input type="radio" name="stwil--restoreMode" value="merge" checked>
+                <span>${translate('Merge: add the backup to the current library', 'stwil.restore.mode.merge')}</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="radio" name="stwil--restoreMode" value="replace">
+                <span>${translate('Replace: move all current presets and their locks to the deleted presets first', 'stwil.restore.mode.replace')}</span>
+            </label>
+            <label for="stwil--restoreConflict">${translate('When a preset or lock already exists:', 'stwil.restore.conflict')}</label>
+            <select id="stwil--restoreConflict">
+                <option value="keep">${translate('Keep mine', 'stwil.restore.conflict.keep')}</option>
+                <option value="overwrite">${translate("Use the backup's", 'stwil.restore.conflict.overwrite')}</option>
+            </select>
+            <label class="checkbox_label">
+                <input type="checkbox" id="stwil--restoreSettings" checked>
+                <span>${translate('Restore extension settings (lock toggles, lock priority, picker, shortcuts)', 'stwil.restore.settings')}</span>
+            </label>
+            ${bookCount > 0 ? `
+                <label class="checkbox_label">
+                    <input type="checkbox" id="stwil--restoreBooks" checked>
+                    <span>${translate('Import the books in the backup', 'stwil.restore.books')}</span>
+                </label>
+            ` : ''}
+        </div>
+    `;
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('Restore', 'stwil.history.restore'),
+        cancelButton: translate('Cancel', 'stwil.common.cancel'),
+    });
+    if (await popup.show() !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const replace = content.querySelector('input[name="stwil--restoreMode"]:checked')?.value === 'replace';
+    const overwrite = replace || content.querySelector('#stwil--restoreConflict').value === 'overwrite';
+    const restoreSettings = content.querySelector('#stwil--restoreSettings').checked;
+    const restoreBooks = content.querySelector('#stwil--restoreBooks')?.checked ?? false;
+    const report = { added: [], overwritten: [], kept: [], removed: [], invalid: [], locks: 0, books: 0, skippedTags: [], skippedGroups: [], skippedChats: [], pendingChats: [] };
+
+    // Every preset is checked before anything changes, so a broken backup can't empty the library
+    const backupPresets = [];
+    for (const entry of data.presets ?? []) {
+        try {
+            backupPresets.push(readPresetExport(entry));
+        } catch (ex) {
+            report.invalid.push(`${entry?.name ?? '?'}: ${ex.message}`);
+        }
+    }
+    if (replace && backupPresets.length === 0) {
+        toastr.error(tKey('stwil.toast.restoreNothingUsable', '"${0}" has no presets that can be restored, so nothing was replaced.\n\n${1}', escapeHtml(file.name), escapeHtml(report.invalid.join('\n'))));
+        return;
+    }
+
+    if (replace) {
+        // Replaced presets go to the deleted presets, with their history and locks, so they can be brought back
+        for (const preset of settings.presetList.toReversed()) {
+            rememberDeletedPreset(preset, settings.presetList.length + DELETED_PRESET_LIMIT);
+        }
+        for (const preset of settings.presetList) {
+            report.removed.push(preset.name);
+            emitStwilEvent(STWIL_EVENTS.PRESET_DELETED, { preset: presetToPlain(preset) });
+        }
+        for (const [type, key] of Object.entries(BACKUP_LOCK_MAPS)) {
+            for (const [target, ref] of Object.entries(settings[key])) {
+                emitLockChanged(type, target, null, ref);
+            }
+            settings[key] = {};
+        }
+        emitLockChanged('globalDefault', null, null, settings.globalDefaultPreset);
+        // The open chat's own lock would point at a preset that is now in the deleted list
+        if (getChatLock()) {
+            setChatLock(null);
+        }
+        settings.presetList = [];
+        settings.tagLockOrder = [];
+        settings.globalDefaultPreset = '';
+        settings.presetNameAliases = {};
+        settings.presetHistory = {};
+        settings.favoritePresets = [];
+        settings.recentPresets = [];
+        settings.chatLockIndex = {};
+        settings.chatLocksScanned = false;
+        settings.pendingChatLocks = {};
+        settings.bookRemapDecisions = {};
+    }
+
+    // Backup preset ID or name -> preset ID on this install
+    const idMap = {};
+    for (const backupPreset of backupPresets) {
+        const existing = findPresetById(backupPreset.id) ?? findPresetByName(backupPreset.name);
+        let preset = existing;
+        if (existing && !overwrite) {
+            report.kept.push(existing.name);
+        } else if (existing) {
+            const previous = capturePresetState(existing);
+            existing.worldList = backupPreset.worldList ?? [];
+            existing.worldInfoSettings = backupPreset.worldInfoSettings ?? null;
+            for (const key of PRESET_METADATA_KEYS) {
+                if (backupPreset[key] !== undefined) existing[key] = backupPreset[key];
+            }
+            Object.assign(existing.extra, getExtraPresetFields(backupPreset));
+            recordPresetRevision(existing, previous, 'imported');
+            report.overwritten.push(existing.name);
+            emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(existing), reason: 'imported', previousName: null });
+        } else {
+            // Migrations can add export-only fields, which don't belong on the stored preset
+            preset = Preset.from(structuredClone(Object.fromEntries(Object.entries(backupPreset).filter(([key]) => !EXPORT_ONLY_KEYS.includes(key)))));
+            preset.worldList ??= [];
+            preset.worldInfoSettings ??= null;
+            if (!preset.id || findPresetById(preset.id)) {
+                preset.id = uuidv4();
+            }
+            settings.presetList.push(preset);
+            report.added.push(preset.name);
+            emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'imported', previousName: null });
+        }
+        idMap[backupPreset.id] = preset.id;
+        idMap[backupPreset.name] = preset.id;
+    }
+
+    const locks = data.locks ?? {};
+    for (const [type, key] of Object.entries(BACKUP_LOCK_MAPS)) {
+        for (const [backupTarget, ref] of Object.entries(locks[key] ?? {})) {
+            const presetId = idMap[ref];
+            if (!presetId) continue;
+            let target = backupTarget;
+            if (type === 'tag') {
+                target = resolveBackupTag(backupTarget, data.tagNames?.[backupTarget]);
+                if (!target) {
+                    report.skippedTags.push(data.tagNames?.[backupTarget] ?? backupTarget);
+                    continue;
+                }
+            } else if (type === 'group') {
+                target = resolveBackupGroup(backupTarget, data.groupTargets?.[backupTarget]);
+                if (!target) {
+                    report.skippedGroups.push(data.groupTargets?.[backupTarget]?.name ?? backupTarget);
+                    continue;
+                }
+            }
+            const previous = settings[key][target];
+            if (previous && !overwrite) continue;
+            settings[key][target] = presetId;
+            emitLockChanged(type, target, presetId, previous);
+            report.locks++;
+        }
+    }
+    // Chats keep their IDs when copied between installs; only the owner has to be found again
+    for (const chatLock of data.chatLocks ?? []) {
+        const presetId = idMap[chatLock?.presetId];
+        if (!presetId || !isValidChatLockTarget(chatLock)) continue;
+        const { chatIds, failed } = await getChatLockCandidates(chatLock);
+        if (!chatIds.includes(chatLock.chatId)) {
+            report.skippedChats.push(failed ? tKey('stwil.restore.report.chatUnavailable', "${0} (chats couldn't be loaded)", chatLock.chatId) : chatLock.chatId);
+            continue;
+        }
+        if (getChatLockById(chatLock.chatId) && !overwrite) continue;
+        if (lockChatById(chatLock.chatId, presetId)) {
+            report.locks++;
+        } else {
+            report.pendingChats.push(chatLock.chatId);
+        }
+    }
+    for (const backupTagId of locks.tagLockOrder ?? []) {
+        const tagId = resolveBackupTag(backupTagId, data.tagNames?.[backupTagId]);
+        if (tagId && settings.tagLocks[tagId] && !settings.tagLockOrder.includes(tagId)) {
+            settings.tagLockOrder.push(tagId);
+        }
+    }
+    const globalDefault = idMap[locks.globalDefaultPreset];
+    if (globalDefault && (!settings.globalDefaultPreset || overwrite)) {
+        emitLockChanged('globalDefault', null, globalDefault, settings.globalDefaultPreset);
+        settings.globalDefaultPreset = globalDefault;
+    }
+    for (const [alias, ref] of Object.entries(locks.presetNameAliases ?? {})) {
+        if (idMap[ref] && !findPreset(alias)) {
+            settings.presetNameAliases[alias] = idMap[ref];
+        }
+    }
+    settings.favoritePresets = [...new Set([...settings.favoritePresets, ...(data.favoritePresets ?? []).map(ref => idMap[ref]).filter(Boolean)])];
+
+    if (restoreSettings && data.settings) {
+        for (const key of BACKUP_SETTING_KEYS) {
+            if (data.settings[key] !== undefined) {
+                settings[key] = structuredClone(data.settings[key]);
+            }
+        }
+        // Backups of setups that still had the old toggle
+        if (!data.settings.lockPriority && data.settings.preferChatOverCharacterLocks !== undefined) {
+            settings.lockPriority = null;
+            settings.preferChatOverCharacterLocks = data.settings.preferChatOverCharacterLocks;
+        }
+        migrateLockPriority();
+    }
+
+    if (restoreBooks) {
+        await importBookData(data.books);
+        report.books = bookCount;
+    }
+
+    if (!settings.preset) {
+        settings.presetName = '';
+    }
+    // Character locks from older installs may still be keyed by name
+    await migrateCharacterLocksToAvatars();
+    clearContextCache();
+    updateSelect();
+    updateLockButton();
+    saveSettingsDebounced();
+    scheduleLockCheck('backup_restored', 0);
+
+    await showRestoreReport(report);
+}
+
+async function showRestoreReport(report) {
+    const list = (title, names) => names.length > 0
+        ? `<h4>${title} (${names.length})</h4><p><small>${names.map(name => escapeHtml(name)).join(', ')}</small></p>`
+        : '';
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${translate('Backup Restored', 'stwil.restore.report.title')}</h3>
+        <div style="text-align: left;">
+            ${list(translate('Removed (restore them from the 🕘 history)', 'stwil.restore.report.removed'), report.removed)}
+            ${list(translate('Added', 'stwil.restore.report.added'), report.added)}
+            ${list(translate('Overwritten', 'stwil.restore.report.overwritten'), report.overwritten)}
+            ${list(translate('Kept (already existed)', 'stwil.restore.report.kept'), report.kept)}
+            ${list(translate('Skipped (invalid)', 'stwil.restore.report.invalid'), report.invalid)}
+            <p>${tKey('stwil.restore.report.locks', 'Locks restored: ${0}', report.locks)}</p>
+            <p>${tKey('stwil.restore.report.books', 'Books imported: ${0}', report.books)}</p>
+            ${list(translate('Tag locks skipped (no matching tag on this install)', 'stwil.restore.report.skippedTags'), report.skippedTags)}
+            ${list(translate('Group locks skipped (no matching group on this install)', 'stwil.restore.report.skippedGroups'), report.skippedGroups)}
+            ${list(translate('Chat locks skipped (chat not found on this install)', 'stwil.restore.report.skippedChats'), report.skippedChats)}
+            ${list(translate('Chat locks applied when the chat is next opened', 'stwil.restore.report.pendingChats'), report.pendingChats)}
+        </div>
+    `;
+    await new Popup(content, POPUP_TYPE.TEXT, '', { allowVerticalScrolling: true }).show();
+}
+
+async function showSettingsSelectionDialog() {
+    const categories = getSettingsCategories();
+    const allSettings = Object.values(categories).flatMap(cat => cat.settings);
+
+    const content = document.createElement('div');
+    // No custom className needed - let ST handle popup content styling
+    content.innerHTML = `
+        <h3>${translate('World Info Settings Inclusion', 'stwil.settings.inclusion.title')}</h3>
+        <p>${translate('OPTIONAL: Choose which global world info settings to include in this preset:', 'stwil.settings.inclusion.optional')}</p>
+
+        <div class="marginBot10">
+            <label class="checkbox_label">
+                <input type="checkbox" id="includeSettingsToggle" checked>
+                <span><strong>${translate('Include world info settings in preset', 'stwil.settings.inclusion.include')}</strong></span>
+            </label>
+            <small class="displayBlock indent20p" style="color: var(--grey50);">
+                ${translate('When enabled, switching to this preset will also apply the selected global settings.', 'stwil.settings.inclusion.whenEnabled')}
+            </small>
+        </div>
+
+        <div id="settingsCategories" class="indent20p">
+
+            ${Object.entries(categories).map(([catKey, category]) => `
+                <div class="marginBot10" style="border: 1px solid var(--grey30); padding: 10px; border-radius: 5px;">
+                    <h5>${category.name}</h5>
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="categoryToggle" data-category="${catKey}" checked>
+                        <span>${translate('Include this category', 'stwil.settings.inclusion.includeCategory')}</span>
+                    </label>
+                    <p class="marginTopBot5" style="color: var(--grey70); font-size: 0.9em;">${category.description}</p>
+                    <div class="indent20p">
+                        ${category.settings.map(setting => `
+                            <label class="checkbox_label">
+                                <input type="checkbox" class="settingCheckbox" data-category="${catKey}" data-setting="${setting}" checked>
+                                <span style="font-family: var(--monoFontFamily);">${setting.replace('world_info_', '')}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    // Add event listeners
+    const includeToggle = content.querySelector('#includeSettingsToggle');
+    const categoriesDiv = content.querySelector('#settingsCategories');
+
+    includeToggle.addEventListener('change', () => {
+        categoriesDiv.style.display = includeToggle.checked ? 'block' : 'none';
+    });
+
+    // Category toggle logic
+    content.querySelectorAll('.categoryToggle').forEach(catToggle => {
+        catToggle.addEventListener('change', () => {
+            const category = catToggle.dataset.category;
+            const categorySettings = content.querySelectorAll(`[data-category="${category}"].settingCheckbox`);
+            categorySettings.forEach(cb => cb.checked = catToggle.checked);
+        });
+    });
+
+    // Individual setting change logic
+    content.querySelectorAll('.settingCheckbox').forEach(settingCb => {
+        settingCb.addEventListener('change', () => {
+            const category = settingCb.dataset.category;
+            const categoryToggle = content.querySelector(`[data-category="${category}"].categoryToggle`);
+            const categorySettings = content.querySelectorAll(`[data-category="${category}"].settingCheckbox`);
+            const checkedCount = Array.from(categorySettings).filter(cb => cb.checked).length;
+
+            categoryToggle.indeterminate = checkedCount > 0 && checkedCount < categorySettings.length;
+            categoryToggle.checked = checkedCount === categorySettings.length;
+        });
+    });
+
+    const customButtons = [
+        {
+            text: translate('Select All', 'stwil.common.selectAll'),
+            classes: ['menu_button'],
+            action: () => {
+                content.querySelectorAll('.categoryToggle, .settingCheckbox').forEach(cb => cb.checked = true);
+                // Update indeterminate states after selecting all
+                content.querySelectorAll('.categoryToggle').forEach(catToggle => {
+                    catToggle.indeterminate = false;
+                    catToggle.checked = true;
+                });
+            }
+        },
+        {
+            text: translate('Select None', 'stwil.common.selectNone'),
+            classes: ['menu_button'],
+            action: () => {
+                content.querySelectorAll('.categoryToggle, .settingCheckbox').forEach(cb => cb.checked = false);
+                // Update indeterminate states after deselecting all
+                content.querySelectorAll('.categoryToggle').forEach(catToggle => {
+                    catToggle.indeterminate = false;
+                    catToggle.checked = false;
+                });
+            }
+        }
+    ];
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('OK', 'stwil.common.ok'),
+        cancelButton: translate('Cancel', 'stwil.common.cancel'),
+        customButtons: customButtons,
+        allowVerticalScrolling: true
+    });
+
+    // Note: OK and Cancel buttons use ST's native styling
+
+    const result = await popup.show();
+    if (!result) return null;
+
+    const includeSettings = includeToggle.checked;
+    const selectedSettings = includeSettings ?
+        Array.from(content.querySelectorAll('.settingCheckbox:checked')).map(cb => cb.dataset.setting) :
+        [];
+
+    return {
+        includeSettings,
+        selectedSettings
+    };
+}
+
+/**
+ * Create a preset from the currently selected books and world info settings.
+ * @param {string} name
+ * @param {string[]|null} settingKeys World info settings to include, or null for a books-only preset
+ * @returns {Preset}
+ */
+function createPresetFromCurrentState(name, settingKeys) {
+    const preset = new Preset();
+    preset.id = uuidv4();
+    preset.name = name;
+    preset.createdAt = Date.now();
+    preset.updatedAt = preset.createdAt;
+    preset.worldList = [...getSelectedBooks()];
+
+    // Apply settings selection
+    if (settingKeys) {
+        const fullSettings = snapshotWorldInfoSettings();
+        const filteredSettings = {};
+
+        for (const [key, value] of Object.entries(fullSettings)) {
+            if (settingKeys.includes(key)) {
+                filteredSettings[key] = value;
+            }
+        }
+
+        preset.worldInfoSettings = filteredSettings;
+        console.log(`STWIL: Created preset "${name}" with selected settings:`, Object.keys(filteredSettings));
+    } else {
+        preset.worldInfoSettings = null;
+        console.log(`STWIL: Created preset "${name}" without world info settings`);
+    }
+
+    settings.presetList.push(preset);
+    settings.presetName = name;
+    updateSelect();
+    updateLockButton();
+    saveSettingsDebounced();
+    emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'created', previousName: null });
+    return preset;
+}
+
+const createPreset = async()=>{
+    const nameContent = document.createElement('div');
+    nameContent.innerHTML = `<h3>${translate('Preset Name:', 'stwil.dialog.presetName.title')}</h3>`;
+    const name = await callPopup(nameContent, 'input', settings.presetName);
+    if (!name) return;
+
+    // Show settings inclusion dialog
+    const settingsToInclude = await showSettingsSelectionDialog();
+    if (!settingsToInclude) return; // User cancelled
+
+    createPresetFromCurrentState(name, settingsToInclude.includeSettings ? settingsToInclude.selectedSettings : null);
+};
+
+function updatePresetFromCurrentState(preset) {
+    const previous = capturePresetState(preset);
+    // Books this install doesn't have can't be selected, so they are kept where they are
+    const liveBooks = getSelectedBooks();
+    preset.worldList = [
+        ...preset.worldList.filter(book => liveBooks.includes(book) || !world_names?.includes(book)),
+        ...liveBooks.filter(book => !preset.worldList.includes(book)),
+    ];
+    // Refresh the values of the settings the preset includes, without adding or dropping any
+    if (preset.worldInfoSettings) {
+        const current = snapshotWorldInfoSettings();
+        preset.worldInfoSettings = Object.fromEntries(Object.entries(preset.worldInfoSettings)
+            .map(([key, value]) => [key, current[key] !== undefined ? current[key] : value]));
+    }
+    recordPresetRevision(preset, previous, 'updated');
+    preset.updatedAt = Date.now();
+    saveSettingsDebounced();
+    updateSelect();
+    emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'updated', previousName: null });
+}
+
+function renderPresetEditorBook(book) {
+    const missing = !world_names?.includes(book);
+    return `
+        <div class="presetEditorBook flex-container flexFlowRow alignItemsCenter flexNoWrap marginBot5" data-book="${escapeHtml(book)}">
+            <span class="drag-handle">&#9776;</span>
+            <span class="flex1">${escapeHtml(book)}${missing ? ` <i class="fa-solid fa-triangle-exclamation" title="${translate('Book not found', 'stwil.editor.bookMissing')}"></i>` : ''}</span>
+            <div class="presetEditorBookRemove menu_button redWarningBG fa-solid fa-trash-can" title="${translate('Remove book', 'stwil.editor.removeBook')}"></div>
+        </div>
+    `;
+}
+
+function renderPresetEditorSetting(def, included, value) {
+    let input;
+    if (def.type === 'boolean') {
+        input = `<input type="checkbox" class="presetEditorSettingValue" data-setting="${def.key}" ${value ? 'checked' : ''}>`;
+    } else if (def.options) {
+        input = `
+            <select class="presetEditorSettingValue text_pole" data-setting="${def.key}">
+                ${def.options.map(option => `<option value="${option.value}" ${String(option.value) === String(value) ? 'selected' : ''}>${option.label()}</option>`).join('')}
+            </select>
+        `;
+    } else if (def.type === 'text') {
+        input = `<textarea class="presetEditorSettingValue text_pole" data-setting="${def.key}" rows="3">${escapeHtml(String(value ?? ''))}</textarea>`;
+    } else {
+        input = `<input type="number" class="presetEditorSettingValue text_pole" data-setting="${def.key}" value="${escapeHtml(String(value ?? ''))}">`;
+    }
+    return `
+        <div class="flex-container flexFlowRow alignItemsCenter flexNoWrap marginBot5">
+            <label class="checkbox_label flex1">
+                <input type="checkbox" class="presetEditorSettingInclude" data-setting="${def.key}" ${included ? 'checked' : ''}>
+                <span style="font-family: var(--monoFontFamily);">${def.key.replace('world_info_', '')}</span>
+            </label>
+            <div class="flex1">${input}</div>
+        </div>
+    `;
+}
+
+/**
+ * Edit a preset's books and settings without activating it. The live world info state only
+ * changes when the edited preset is the active one.
+ * @param {Preset} preset
+ */
+async function showPresetEditor(preset) {
+    const definitions = getWorldInfoSettingDefinitions();
+    const currentSettings = snapshotWorldInfoSettings();
+    const presetSettings = preset.worldInfoSettings ?? {};
+
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${tKey('stwil.editor.title', 'Edit Preset "${0}"', escapeHtml(preset.name))}</h3>
+        <div class="marginBot10" style="text-align: left;">
+            <label for="presetEditorDescription">${translate('Description', 'stwil.editor.description')}</label>
+            <input type="text" id="presetEditorDescription" class="text_pole" value="${escapeHtml(preset.description)}" placeholder="${translate('What is this preset for?', 'stwil.editor.description.placeholder')}">
+            <label for="presetEditorNotes">${translate('Notes', 'stwil.editor.notes')}</label>
+            <textarea id="presetEditorNotes" class="text_pole" rows="3">${escapeHtml(preset.notes)}</textarea>
+            <div class="flex-container">
+                <div class="flex1">
+                    <label for="presetEditorAuthor">${translate('Author', 'stwil.editor.author')}</label>
+                    <input type="text" id="presetEditorAuthor" class="text_pole" value="${escapeHtml(preset.author)}">
+                </div>
+                <div class="flex1">
+                    <label for="presetEditorSource">${translate('Source', 'stwil.editor.source')}</label>
+                    <input type="text" id="presetEditorSource" class="text_pole" value="${escapeHtml(preset.source)}">
+                </div>
+            </div>
+            <label for="presetEditorFolder">${translate('Folder', 'stwil.editor.folder')}</label>
+            <input type="text" id="presetEditorFolder" class="text_pole" list="presetEditorFolders" value="${escapeHtml(preset.folder)}" placeholder="${translate('No folder', 'stwil.picker.noFolder')}">
+            <datalist id="presetEditorFolders">
+                ${getPresetFolders().map(folder => `<option value="${escapeHtml(folder)}"></option>`).join('')}
+            </datalist>
+            <small style="color: var(--grey50);">
+                ${tKey('stwil.editor.timestamps', 'Created: ${0} · Updated: ${1}',
+                    preset.createdAt ? new Date(preset.createdAt).toLocaleString() : translate('Unknown', 'stwil.common.unknown'),
+                    preset.updatedAt ? new Date(preset.updatedAt).toLocaleString() : translate('Unknown', 'stwil.common.unknown'))}
+            </small>
+        </div>
+        <hr class="marginTopBot5">
+        <div class="marginBot10" style="text-align: left;">
+            <h4 class="marginBot5">${translate('Books:', 'stwil.editor.books.heading')}</h4>
+            <small class="displayBlock marginBot5" style="color: var(--grey50);">${translate('Drag to reorder.', 'stwil.editor.books.tip')}</small>
+            <div id="presetEditorBooks">
+                ${preset.worldList.map(renderPresetEditorBook).join('')}
+            </div>
+            <input type="search" id="presetEditorBookSearch" class="text_pole marginTopBot5" placeholder="${translate('Search books to add...', 'stwil.editor.books.search')}">
+            <div id="presetEditorAvailableBooks" style="max-height: 12em; overflow-y: auto;"></div>
+        </div>
+        <hr class="marginTopBot5">
+        <div style="text-align: left;">
+            <h4 class="marginBot5">${translate('World Info Settings:', 'stwil.tooltip.worldInfoSettings')}</h4>
+            <small class="displayBlock marginBot5" style="color: var(--grey50);">${translate('Checked settings are applied with the preset; unchecked ones are left as they are. Check none for a books-only preset.', 'stwil.editor.settings.tip')}</small>
+            ${Object.entries(getSettingsCategories()).map(([catKey, category]) => `
+                <h5>${category.name}</h5>
+                ${category.settings.map(key => {
+                    const def = definitions.find(it => it.key === key);
+                    const included = Object.prototype.hasOwnProperty.call(presetSettings, key);
+                    return renderPresetEditorSetting(def, included, included ? presetSettings[key] : currentSettings[key]);
+                }).join('')}
+            `).join('')}
+        </div>
+    `;
+
+    const booksList = content.querySelector('#presetEditorBooks');
+    const availableList = content.querySelector('#presetEditorAvailableBooks');
+    const search = content.querySelector('#presetEditorBookSearch');
+    const getEditedBooks = () => Array.from(booksList.querySelectorAll('.presetEditorBook')).map(row => row.dataset.book);
+
+    const renderAvailableBooks = () => {
+        const query = search.value.trim().toLowerCase();
+        const selected = getEditedBooks();
+        availableList.innerHTML = (world_names ?? [])
+            .filter(book => !selected.includes(book) && book.toLowerCase().includes(query))
+            .toSorted((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+            .map(book => `
+                <div class="presetEditorAvailableBook flex-container flexFlowRow alignItemsCenter flexNoWrap marginBot5" data-book="${escapeHtml(book)}">
+                    <span class="flex1">${escapeHtml(book)}</span>
+                    <div class="presetEditorBookAdd menu_button fa-solid fa-plus" title="${translate('Add book', 'stwil.editor.addBook')}"></div>
+                </div>
+            `).join('');
+    };
+
+    booksList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('presetEditorBookRemove')) {
+            e.target.closest('.presetEditorBook').remove();
+            renderAvailableBooks();
+        }
+    });
+    availableList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('presetEditorBookAdd')) {
+            booksList.insertAdjacentHTML('beforeend', renderPresetEditorBook(e.target.closest('.presetEditorAvailableBook').dataset.book));
+            renderAvailableBooks();
+        }
+    });
+    search.addEventListener('input', renderAvailableBooks);
+    renderAvailableBooks();
+    $(booksList).sortable({
+        delay: getSortableDelay(),
+        handle: '.drag-handle',
+    });
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: translate('Save', 'stwil.common.save'),
+        cancelButton: translate('Cancel', 'stwil.common.cancel'),
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    if (await popup.show() !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const readValue = (key) => {
+        const def = definitions.find(it => it.key === key);
+        const el = content.querySelector(`.presetEditorSettingValue[data-setting="${key}"]`);
+        if (def.type === 'boolean') return el.checked;
+        if (def.type === 'number' || def.options) return Number(el.value);
+        return el.value;
+    };
+    const includedKeys = Array.from(content.querySelectorAll('.presetEditorSettingInclude:checked')).map(cb => cb.dataset.setting);
+    // Settings this SillyTavern version doesn't know can't be edited here, so they are kept as they are
+    const unknownSettings = Object.entries(presetSettings).filter(([key]) => !definitions.some(def => def.key === key));
+    const worldInfoSettings = Object.fromEntries([...unknownSettings, ...includedKeys.map(key => [key, readValue(key)])]);
+
+    preset.description = content.querySelector('#presetEditorDescription').value.trim();
+    preset.notes = content.querySelector('#presetEditorNotes').value;
+    preset.author = content.querySelector('#presetEditorAuthor').value.trim();
+    preset.source = content.querySelector('#presetEditorSource').value.trim();
+    preset.folder = content.querySelector('#presetEditorFolder').value.trim();
+
+    await savePresetEdits(preset, getEditedBooks(), Object.keys(worldInfoSettings).length > 0 ? worldInfoSettings : null);
+}
+
+/**
+ * @param {Preset} preset
+ * @param {string[]} worldList
+ * @param {Object|null} worldInfoSettings
+ * @param {'edited'|'restored'} [reason]
+ */
+async function savePresetEdits(preset, worldList, worldInfoSettings, reason = 'edited') {
+    const previous = capturePresetState(preset);
+    preset.worldList = worldList;
+    preset.worldInfoSettings = worldInfoSettings;
+    recordPresetRevision(preset, previous, reason);
+    preset.updatedAt = Date.now();
+    updateSelect();
+    saveSettingsDebounced();
+    emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason, previousName: null });
+
+    if (settings.preset === preset) {
+        await activatePreset(preset, true);
+    }
+}
+
+/**
+ * One side of the compare dialog: a preset, or the live world info state for an empty ID.
+ * @param {string} id
+ */
+function getCompareSide(id) {
+    const preset = id ? findPresetById(id) : null;
+    if (preset) {
+        return { preset, worldList: preset.worldList, worldInfoSettings: preset.worldInfoSettings ?? null };
+    }
+    return { preset: null, worldList: [...getSelectedBooks()], worldInfoSettings: snapshotWorldInfoSettings() };
+}
+
+function formatCompareValue(def, value) {
+    if (value === undefined) return translate('Not included', 'stwil.compare.notIncluded');
+    if (def?.options) {
+        const option = def.options.find(it => String(it.value) === String(value));
+        if (option) return option.label();
+    }
+    if (typeof value === 'boolean') return value ? translate('Yes', 'stwil.common.yes') : translate('No', 'stwil.common.no');
+    return String(value);
+}
+
+/**
+ * Books and settings that differ between two compare sides. The live state has every setting,
+ * so against it only the settings the preset includes are compared.
+ */
+function diffCompareSides(left, right) {
+    const leftSettings = left.worldInfoSettings ?? {};
+    const rightSettings = right.worldInfoSettings ?? {};
+    let keys;
+    if (!left.preset && !right.preset) {
+        keys = [];
+    } else if (!left.preset || !right.preset) {
+        keys = Object.keys((left.preset ? leftSettings : rightSettings));
+    } else {
+        keys = [...new Set([...Object.keys(leftSettings), ...Object.keys(rightSettings)])];
+    }
+    return {
+        books: [
+            ...left.worldList.filter(book => !right.worldList.includes(book)),
+            ...right.worldList.filter(book => !left.worldList.includes(book)),
+        ],
+        settings: keys.filter(key => String(leftSettings[key]) !== String(rightSettings[key])),
+    };
+}
+
+/**
+ * Make one side match the other for a single book or setting. Presets are saved as an edit
+ * (so the change lands in their history); the live state is changed through the activation
+ * queue, so the copy can't interleave with a preset switch.
+ * @param {ReturnType<getCompareSide>} from
+ * @param {ReturnType<getCompareSide>} to
+ * @param {'book'|'setting'} kind
+ * @param {string} key Book name or setting key
+ */
+async function copyCompareDifference(from, to, kind, key) {
+    const included = kind === 'book'
+        ? from.worldList.includes(key)
+        : Object.prototype.hasOwnProperty.call(from.worldInfoSettings ?? {}, key);
+
+    if (!to.preset) {
+        // The live state may have moved on while the dialog was open, so it is read again in the queue
+        await enqueueActivation(`compare:${kind}:${key}`, async () => {
+            if (kind === 'book') {
+                const liveBooks = getSelectedBooks();
+                applyBookSelection(included ? [...liveBooks.filter(book => book !== key), key] : liveBooks.filter(book => book !== key));
+            } else if (included) {
+                await applyWorldInfoEngineSettings({ [key]: from.worldInfoSettings[key] });
+            }
+        });
+        return;
+    }
+
+    if (kind === 'book') {
+        const worldList = included ? [...to.worldList, key] : to.worldList.filter(book => book !== key);
+        await savePresetEdits(to.preset, worldList, to.preset.worldInfoSettings ?? null);
+        return;
+    }
+
+    const worldInfoSettings = { ...to.preset.worldInfoSettings };
+    if (included) {
+        worldInfoSettings[key] = from.worldInfoSettings[key];
+    } else {
+        delete worldInfoSettings[key];
+    }
+    await savePresetEdits(to.preset, [...to.worldList], Object.keys(worldInfoSettings).length > 0 ? worldInfoSettings : null);
+}
+
+/**
+ * Compare two presets, or a preset and the live world info state, and copy single differences across.
+ * @param {Preset|undefined} preset Preset shown on the left; the live state starts on the right
+ */
+async function showPresetCompare(preset) {
+    const sideOptions = (selectedId) => `
+        <option value="" ${selectedId ? '' : 'selected'}>${translate('Current world info', 'stwil.compare.live')}</option>
+        ${settings.presetList
+            .toSorted((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+            .map(it => `<option value="${escapeHtml(it.id)}" ${it.id === selectedId ? 'selected' : ''}>${escapeHtml(it.name)}</option>`)
+            .join('')}
+    `;
+
+    const content = document.createElement('div');
+    content.innerHTML = `
+        <h3>${translate('Compare Presets', 'stwil.compare.title')}</h3>
+        <div class="flex-container flexnowrap alignItemsCenter marginBot10">
+            <select id="stwil--compareLeft" class="text_pole flex1">${sideOptions(preset?.id ?? settings.presetList[0]?.id ?? '')}</select>
+            <div class="menu_button fa-solid fa-pen-to-square stwil--compareEdit" data-side="left" title="${translate('Edit this preset', 'stwil.compare.edit')}"></div>
+            <span class="fa-solid fa-arrows-left-right"></span>
+            <select id="stwil--compareRight" class="text_pole flex1">${sideOptions('')}</select>
+            <div class="menu_button fa-solid fa-pen-to-square stwil--compareEdit" data-side="right" title="${translate('Edit this preset', 'stwil.compare.edit')}"></div>
+        </div>
+        <div id="stwil--compareResult" style="text-align: left;"></div>
+    `;
+    const leftSelect = content.querySelector('#stwil--compareLeft');
+    const rightSelect = content.querySelector('#stwil--compareRight');
+    const result = content.querySelector('#stwil--compareResult');
+
+    const copyButtons = (kind, key, canCopyLeft, canCopyRight) => `
+        <td style="white-space: nowrap;">
+            ${canCopyRight ? `<div class="menu_button fa-solid fa-arrow-right stwil--compareCopy" data-kind="${kind}" data-key="${escapeHtml(key)}" data-from="left" title="${translate('Copy to the right', 'stwil.compare.copyRight')}"></div>` : ''}
+            ${canCopyLeft ? `<div class="menu_button fa-solid fa-arrow-left stwil--compareCopy" data-kind="${kind}" data-key="${escapeHtml(key)}" data-from="right" title="${translate('Copy to the left', 'stwil.compare.copyLeft')}"></div>` : ''}
+        </td>
+    `;
+
+    const render = () => {
+        // Only preset sides can be edited; the live state is changed through the copy buttons
+        for (const button of content.querySelectorAll('.stwil--compareEdit')) {
+            button.style.display = (button.dataset.side === 'left' ? leftSelect : rightSelect).value ? '' : 'none';
+        }
+        const left = getCompareSide(leftSelect.value);
+        const right = getCompareSide(rightSelect.value);
+        const diff = diffCompareSides(left, right);
+        if (diff.books.length === 0 && diff.settings.length === 0) {
+            result.innerHTML = `<p>${translate('No differences.', 'stwil.compare.noDifferences')}</p>`;
+            return;
+        }
+
+        const present = translate('Included', 'stwil.compare.included');
+        const absent = translate('Not included', 'stwil.compare.notIncluded');
+        const bookRows = diff.books.map(book => `
+            <tr>
+                <td>${escapeHtml(book)}</td>
+                <td>${left.worldList.includes(book) ? present : absent}</td>
+                ${copyButtons('book', book, true, true)}
+                <td>${right.worldList.includes(book) ? present : absent}</td>
+            </tr>
+        `).join('');
+
+        // Group differing settings like the settings dialogs do; settings this version doesn't know come last
+        const definitions = getWorldInfoSettingDefinitions();
+        const categories = Object.values(getSettingsCategories());
+        const known = categories.flatMap(category => category.settings);
+        const groups = [
+            ...categories.map(category => ({ name: category.name, keys: category.settings.filter(key => diff.settings.includes(key)) })),
+            { name: translate('Not in this SillyTavern version', 'stwil.compare.unknownSettings'), keys: diff.settings.filter(key => !known.includes(key)) },
+        ].filter(group => group.keys.length > 0);
+        const leftIncludes = (key) => Object.prototype.hasOwnProperty.call(left.worldInfoSettings ?? {}, key);
+        const rightIncludes = (key) => Object.prototype.hasOwnProperty.call(right.worldInfoSettings ?? {}, key);
+        const settingRows = groups.map(group => `
+            <tr><th colspan="4">${escapeHtml(group.name)}</th></tr>
+            ${group.keys.map(key => {
+                const def = definitions.find(it => it.key === key);
+                // The live state can't leave a setting out, so only included values can be copied onto it
+                const canCopyLeft = Boolean(left.preset) || rightIncludes(key);
+                const canCopyRight = Boolean(right.preset) || leftIncludes(key);
+                return `
+                    <tr>
+                        <td>${escapeHtml(key.replace('world_info_', ''))}</td>
+                        <td>${escapeHtml(formatCompareValue(def, leftIncludes(key) ? left.worldInfoSettings[key] : undefined))}</td>
+                        ${copyButtons('setting', key, canCopyLeft, canCopyRight)}
+                        <td>${escapeHtml(formatCompareValue(def, rightIncludes(key) ? right.worldInfoSettings[key] : undefined))}</td>
+                    </tr>
+                `;
+            }).join('')}
+        `).join('');
+
+        result.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse;">
+                ${bookRows ? `<tr><th colspan="4"><h4>${translate('Books', 'stwil.compare.books')}</h4></th></tr>${bookRows}` : ''}
+                ${settingRows ? `<tr><th colspan="4"><h4>${translate('World Info Settings:', 'stwil.tooltip.worldInfoSettings')}</h4></th></tr>${settingRows}` : ''}
+            </table>
+        `;
+    };
+
+    leftSelect.addEventListener('change', render);
+    rightSelect.addEventListener('change', render);
+    content.addEventListener('click', async (e) => {
+        const button = e.target.closest('.stwil--compareEdit');
+        if (!button) return;
+        const preset = findPresetById((button.dataset.side === 'left' ? leftSelect : rightSelect).value);
+        if (!preset) return;
+        await showPresetEditor(preset);
+        render();
+    });
+    result.addEventListener('click', async (e) => {
+        const button = e.target.closest('.stwil--compareCopy');
+        if (!button) return;
+        const left = getCompareSide(leftSelect.value);
+        const right = getCompareSide(rightSelect.value);
+        const [from, to] = button.dataset.from === 'left' ? [left, right] : [right, left];
+        await copyCompareDifference(from, to, button.dataset.kind, button.dataset.key);
+        render();
+    });
+    render();
+
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    await popup.show();
+}
+
+function renamePreset(preset, name) {
+    const oldName = preset.name;
+    if (!name || name === oldName) return;
+
+    // Locks reference the preset ID, so they follow the rename on their own.
+    // Chats that still hold the old name are resolved through the alias.
+    settings.presetNameAliases[oldName] = preset.id;
+    delete settings.presetNameAliases[name];
+
+    preset.name = name;
+    preset.updatedAt = Date.now();
+    if (settings.presetName === oldName) {
+        settings.presetName = name;
+    }
+    updateSelect();
+    saveSettingsDebounced();
+    emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'renamed', previousName: oldName });
+}
+
+const PRESET_HISTORY_LIMIT = 20;
+const DELETED_PRESET_LIMIT = 10;
+
+/**
+ * Books and settings of a preset before a change overwrote them.
+ * @typedef {{timestamp: number, reason: 'updated'|'edited'|'imported'|'bookRenamed'|'booksRemapped'|'restored', worldList: string[], worldInfoSettings: Object|null}} PresetRevision
+ */
+/**
+ * A deleted preset with its history and the locks that pointed at it.
+ * @typedef {{deletedAt: number, preset: Object, history: PresetRevision[], locks: {characterLocks: Object.<string, string>, groupLocks: Object.<string, string>, personaLocks: Object.<string, string>, tagLocks: Object.<string, string>, aliases: string[], globalDefault: boolean, chatLocks: Object.<string, ChatLockIndexEntry>}}} DeletedPreset
+ */
+
+function capturePresetState(preset) {
+    return {
+        worldList: [...preset.worldList],
+        worldInfoSettings: structuredClone(preset.worldInfoSettings ?? null),
+    };
+}
+
+/**
+ * What changed between two preset states, in the shape of {@link getPresetDrift}.
+ * @param {{worldList: string[], worldInfoSettings: Object|null}} before
+ * @param {{worldList: string[], worldInfoSettings: Object|null}} after
+ */
+function diffPresetStates(before, after) {
+    const beforeSettings = before.worldInfoSettings ?? {};
+    const afterSettings = after.worldInfoSettings ?? {};
+    return {
+        addedBooks: after.worldList.filter(book => !before.worldList.includes(book)),
+        removedBooks: before.worldList.filter(book => !after.worldList.includes(book)),
+        changedSettings: [...new Set([...Object.keys(beforeSettings), ...Object.keys(afterSettings)])]
+            .filter(key => JSON.stringify(beforeSettings[key]) !== JSON.stringify(afterSettings[key])),
+    };
+}
+
+/**
+ * Keep the state a preset had before `reason` changed it, unless nothing changed.
+ * @param {Preset} preset
+ * @param {ReturnType<capturePresetState>} previous State captured before the change
+ * @param {PresetRevision['reason']} reason
+ */
+function recordPresetRevision(preset, previous, reason) {
+    const current = capturePresetState(preset);
+    // Book order counts too, since it is the order books are selected in
+    const unchanged = JSON.stringify(previous) === JSON.stringify(current);
+    if (unchanged) return;
+
+    const history = settings.presetHistory[preset.id] ??= [];
+    history.unshift({ timestamp: Date.now(), reason, ...previous });
+    history.splice(PRESET_HISTORY_LIMIT);
+}
+
+/**
+ * Move a preset's history and the locks pointing at it to the deleted list, so the delete can be undone.
+ * @param {Preset} preset
+ * @param {number} [limit] Entries to keep; a restore that replaces the library raises it to keep every preset
+ */
+function rememberDeletedPreset(preset, limit = DELETED_PRESET_LIMIT) {
+    const locksTo = (locks) => Object.fromEntries(Object.entries(locks).filter(([, ref]) => findPreset(ref) === preset));
+    // Chats locked to the preset: the indexed ones, those waiting for an imported lock, and the open one
+    const chatLocks = Object.fromEntries(Object.entries(settings.chatLockIndex).filter(([, entry]) => findPreset(entry.presetId) === preset));
+    for (const [chatId, ref] of Object.entries(settings.pendingChatLocks)) {
+        if (findPreset(ref) === preset) chatLocks[chatId] ??= { presetId: preset.id, characterId: null, groupId: null };
+    }
+    const context = getCurrentContext();
+    if (context.chatId && findPreset(getChatLock()) === preset) {
+        chatLocks[context.chatId] = { presetId: preset.id, characterId: context.characterId, groupId: context.groupId };
+    }
+    settings.deletedPresets.unshift({
+        deletedAt: Date.now(),
+        preset: structuredClone(preset.toJSON()),
+        history: settings.presetHistory[preset.id] ?? [],
+        locks: {
+            characterLocks: locksTo(settings.characterLocks),
+            groupLocks: locksTo(settings.groupLocks),
+            personaLocks: locksTo(settings.personaLocks),
+            tagLocks: locksTo(settings.tagLocks),
+            aliases: Object.keys(settings.presetNameAliases).filter(alias => settings.presetNameAliases[alias] === preset.id),
+            globalDefault: findPreset(settings.globalDefaultPreset) === preset,
+            chatLocks,
+        },
+    });
+    settings.deletedPresets.splice(limit);
+    delete settings.presetHistory[preset.id];
+}
+
+/**
+ * Bring a deleted preset back with its history, and restore its locks where nothing else took their place.
+ * @param {DeletedPreset} entry
+ * @returns {Promise<Preset|null>} null if the user cancelled a name conflict
+ */
+async function restoreDeletedPreset(entry) {
+    let name = entry.preset.name;
+    if (findPresetByName(name)) {
+        const nameContent = document.createElement('div');
+        nameContent.innerHTML = `<h3>${tKey('stwil.history.restoreName', 'A preset named "${0}" already exists. Restore as:', escapeHtml(name))}</h3>`;
+        name = String(await callPopup(nameContent, 'input', name) ?? '').trim();
+        if (!name) return null;
+        if (findPresetByName(name)) {
+            toastr.warning(tKey('stwil.toast.presetExists', 'Preset "${0}" already exists', escapeHtml(name)));
+            return null;
+        }
+    }
+
+    const preset = Preset.from(structuredClone(entry.preset));
+    preset.name = name;
+    // Keeping the old ID lets chats elsewhere that are still locked to it find it again
+    if (!preset.id || findPresetById(preset.id)) {
+        preset.id = uuidv4();
+    }
+    settings.presetList.push(preset);
+    settings.presetHistory[preset.id] = entry.history;
+    settings.deletedPresets.splice(settings.deletedPresets.indexOf(entry), 1);
+
+    const { locks } = entry;
+    let locksRestored = false;
+    for (const [type, lockMap] of [['character', settings.characterLocks], ['group', settings.groupLocks], ['persona', settings.personaLocks], ['tag', settings.tagLocks]]) {
+        for (const target of Object.keys(locks[`${type}Locks`] ?? {})) {
+            if (lockMap[target]) continue;
+            lockMap[target] = preset.id;
+            if (type === 'tag' && !settings.tagLockOrder.includes(target)) {
+                settings.tagLockOrder.push(target);
+            }
+            emitLockChanged(type, target, preset.id, null);
+            locksRestored = true;
+        }
+    }
+    for (const alias of locks.aliases ?? []) {
+        if (!findPreset(alias)) {
+            settings.presetNameAliases[alias] = preset.id;
+        }
+    }
+    if (locks.globalDefault && !settings.globalDefaultPreset) {
+        settings.globalDefaultPreset = preset.id;
+        emitLockChanged('globalDefault', null, preset.id, null);
+        locksRestored = true;
+    }
+    // Chats that weren't opened since get the lock back when they are next opened
+    for (const [chatId, entry] of Object.entries(locks.chatLocks ?? {})) {
+        if (findPreset(getChatLockById(chatId))) continue;
+        if (lockChatById(chatId, preset.id)) {
+            locksRestored = true;
+        } else {
+            settings.chatLockIndex[chatId] = { ...entry, presetId: preset.id };
         }
-        const preset = new Preset();
-        preset.name = data.name;
-        preset.worldList = data.worldList;
-        preset.worldInfoSettings = data.worldInfoSettings ?? null;
-        settings.presetList.push(preset);
-        await importBooks(data);
-        await importCharacterLocks(data);
-        await importGroupLocks(data);
-        await importGlobalDefault(data, preset.name);
-        updateSelect();
-        saveSettingsDebounced();
-    } catch (ex) {
-        toastr.error(tKey('stwil.toast.importFailed', 'Failed to import "${0}":\n\n${1}', escapeHtml(file.name), escapeHtml(ex.message)));
     }
-};
-
-async function showSettingsSelectionDialog() {
-    const categories = getSettingsCategories();
-    const allSettings = Object.values(categories).flatMap(cat => cat.settings);
-
-    const content = document.createElement('div');
-    // No custom className needed - let ST handle popup content styling
-    content.innerHTML = `
-        <h3>${translate('World Info Settings Inclusion', 'stwil.settings.inclusion.title')}</h3>
-        <p>${translate('OPTIONAL: Choose which global world info settings to include in this preset:', 'stwil.settings.inclusion.optional')}</p>
 
-        <div class="marginBot10">
-            <label class="checkbox_label">
-                <input type="checkbox" id="includeSettingsToggle" checked>
-                <span><strong>${translate('Include world info settings in preset', 'stwil.settings.inclusion.include')}</strong></span>
-            </label>
-            <small class="displayBlock indent20p" style="color: var(--grey50);">
-                ${translate('When enabled, switching to this preset will also apply the selected global settings.', 'stwil.settings.inclusion.whenEnabled')}
-            </small>
-        </div>
+    clearContextCache();
+    updateSelect();
+    updateLockButton();
+    saveSettingsDebounced();
+    emitStwilEvent(STWIL_EVENTS.PRESET_SAVED, { preset: presetToPlain(preset), reason: 'restored', previousName: null });
+    if (locksRestored) {
+        scheduleLockCheck('preset_restored', 0);
+    }
+    return preset;
+}
 
-        <div id="settingsCategories" class="indent20p">
+function getRevisionReasonLabel(reason) {
+    switch (reason) {
+        case 'updated': return translate('Updated from the current selection', 'stwil.history.reason.updated');
+        case 'edited': return translate('Edited', 'stwil.history.reason.edited');
+        case 'imported': return translate('Overwritten by an import', 'stwil.history.reason.imported');
+        case 'bookRenamed': return translate('Book renamed', 'stwil.history.reason.bookRenamed');
+        case 'booksRemapped': return translate('Missing books remapped', 'stwil.history.reason.booksRemapped');
+        default: return translate('Revision restored', 'stwil.history.reason.restored');
+    }
+}
 
-            ${Object.entries(categories).map(([catKey, category]) => `
-                <div class="marginBot10" style="border: 1px solid var(--grey30); padding: 10px; border-radius: 5px;">
-                    <h5>${category.name}</h5>
-                    <label class="checkbox_label">
-                        <input type="checkbox" class="categoryToggle" data-category="${catKey}" checked>
-                        <span>${translate('Include this category', 'stwil.settings.inclusion.includeCategory')}</span>
-                    </label>
-                    <p class="marginTopBot5" style="color: var(--grey70); font-size: 0.9em;">${category.description}</p>
-                    <div class="indent20p">
-                        ${category.settings.map(setting => `
-                            <label class="checkbox_label">
-                                <input type="checkbox" class="settingCheckbox" data-category="${catKey}" data-setting="${setting}" checked>
-                                <span style="font-family: var(--monoFontFamily);">${setting.replace('world_info_', '')}</span>
-                            </label>
-                        `).join('')}
-                    </div>
-                </div>
-            `).join('')}
-        </div>
-    `;
+function describePresetState(state) {
+    const books = state.worldList.length > 0 ? state.worldList.join(', ') : translate('None', 'stwil.common.none');
+    const settingCount = Object.keys(state.worldInfoSettings ?? {}).length;
+    return `${translate('Books:', 'stwil.editor.books.heading')} ${books}\n${tKey('stwil.history.settingCount', '${0} world info settings', settingCount)}`;
+}
 
-    // Add event listeners
-    const includeToggle = content.querySelector('#includeSettingsToggle');
-    const categoriesDiv = content.querySelector('#settingsCategories');
+/**
+ * Show a preset's revisions with what each change did, and the deleted presets; either can be restored.
+ * @param {Preset|undefined} preset Preset whose revisions to list; without one only deleted presets are shown
+ */
+async function showPresetHistory(preset) {
+    const history = preset ? settings.presetHistory[preset.id] ?? [] : [];
+    const diffHtml = (drift) => {
+        const lines = describePresetDrift(drift);
+        return lines.length > 0 ? lines.map(line => escapeHtml(line)).join('<br>') : translate('No changes', 'stwil.history.noChanges');
+    };
 
-    includeToggle.addEventListener('change', () => {
-        categoriesDiv.style.display = includeToggle.checked ? 'block' : 'none';
-    });
+    // Each revision is the state before a change; the next newer state shows what the change did
+    const revisionRows = history.map((revision, index) => {
+        const after = index === 0 ? capturePresetState(preset) : history[index - 1];
+        return `
+            <tr>
+                <td title="${escapeHtml(describePresetState(revision))}">
+                    ${escapeHtml(new Date(revision.timestamp).toLocaleString())}<br><small>${getRevisionReasonLabel(revision.reason)}</small>
+                </td>
+                <td><small>${diffHtml(diffPresetStates(revision, after))}</small></td>
+                <td><div class="menu_button stwil--restoreRevision" data-index="${index}">${translate('Restore', 'stwil.history.restore')}</div></td>
+            </tr>
+        `;
+    }).join('');
 
-    // Category toggle logic
-    content.querySelectorAll('.categoryToggle').forEach(catToggle => {
-        catToggle.addEventListener('change', () => {
-            const category = catToggle.dataset.category;
-            const categorySettings = content.querySelectorAll(`[data-category="${category}"].settingCheckbox`);
-            categorySettings.forEach(cb => cb.checked = catToggle.checked);
-        });
-    });
+    const deletedRows = settings.deletedPresets.map((entry, index) => `
+        <tr>
+            <td title="${escapeHtml(describePresetState(entry.preset))}">${escapeHtml(entry.preset.name)}</td>
+            <td><small>${escapeHtml(new Date(entry.deletedAt).toLocaleString())}</small></td>
+            <td><div class="menu_button stwil--restoreDeleted" data-index="${index}">${translate('Restore', 'stwil.history.restore')}</div></td>
+        </tr>
+    `).join('');
 
-    // Individual setting change logic
-    content.querySelectorAll('.settingCheckbox').forEach(settingCb => {
-        settingCb.addEventListener('change', () => {
-            const category = settingCb.dataset.category;
-            const categoryToggle = content.querySelector(`[data-category="${category}"].categoryToggle`);
-            const categorySettings = content.querySelectorAll(`[data-category="${category}"].settingCheckbox`);
-            const checkedCount = Array.from(categorySettings).filter(cb => cb.checked).length;
+    const content = document.createElement('div');
+    content.innerHTML = `
+        ${preset ? `
+            <h3>${tKey('stwil.history.title', 'History of "${0}"', escapeHtml(preset.name))}</h3>
+            <p><small>${translate('Each entry is the preset as it was before a change. Restoring one keeps the current state in the history too.', 'stwil.history.tip')}</small></p>
+            ${revisionRows ? `
+                <table style="width: 100%; text-align: left; border-collapse: collapse;">
+                    <thead>
+                        <tr>
+                            <th>${translate('Before', 'stwil.history.column.before')}</th>
+                            <th>${translate('What the change did', 'stwil.history.column.change')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${revisionRows}</tbody>
+                </table>
+            ` : `<p><small>${translate('This preset has not been changed yet.', 'stwil.history.empty')}</small></p>`}
+            <hr class="marginTopBot5">
+        ` : ''}
+        <h4>${translate('Deleted presets', 'stwil.history.deleted')}</h4>
+        ${deletedRows ? `
+            <table style="width: 100%; text-align: left; border-collapse: collapse;">
+                <tbody>${deletedRows}</tbody>
+            </table>
+        ` : `<p><small>${translate('No deleted presets.', 'stwil.history.deletedEmpty')}</small></p>`}
+    `;
 
-            categoryToggle.indeterminate = checkedCount > 0 && checkedCount < categorySettings.length;
-            categoryToggle.checked = checkedCount === categorySettings.length;
-        });
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        wide: true,
+        allowVerticalScrolling: true,
     });
 
-    const customButtons = [
-        {
-            text: translate('Select All', 'stwil.common.selectAll'),
-            classes: ['menu_button'],
-            action: () => {
-                content.querySelectorAll('.categoryToggle, .settingCheckbox').forEach(cb => cb.checked = true);
-                // Update indeterminate states after selecting all
-                content.querySelectorAll('.categoryToggle').forEach(catToggle => {
-                    catToggle.indeterminate = false;
-                    catToggle.checked = true;
-                });
-            }
-        },
-        {
-            text: translate('Select None', 'stwil.common.selectNone'),
-            classes: ['menu_button'],
-            action: () => {
-                content.querySelectorAll('.categoryToggle, .settingCheckbox').forEach(cb => cb.checked = false);
-                // Update indeterminate states after deselecting all
-                content.querySelectorAll('.categoryToggle').forEach(catToggle => {
-                    catToggle.indeterminate = false;
-                    catToggle.checked = false;
-                });
+    content.addEventListener('click', async (e) => {
+        const revisionButton = e.target.closest('.stwil--restoreRevision');
+        const deletedButton = e.target.closest('.stwil--restoreDeleted');
+        if (revisionButton) {
+            const revision = history[Number(revisionButton.dataset.index)];
+            await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+            await savePresetEdits(preset, [...revision.worldList], structuredClone(revision.worldInfoSettings), 'restored');
+            toastr.success(tKey('stwil.toast.revisionRestored', 'Restored "${0}" as it was on ${1}', escapeHtml(preset.name), new Date(revision.timestamp).toLocaleString()));
+        } else if (deletedButton) {
+            const entry = settings.deletedPresets[Number(deletedButton.dataset.index)];
+            await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+            const restored = await restoreDeletedPreset(entry);
+            if (restored) {
+                toastr.success(tKey('stwil.toast.presetRestored', 'Restored preset "${0}"', escapeHtml(restored.name)));
             }
         }
-    ];
-
-    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
-        okButton: translate('OK', 'stwil.common.ok'),
-        cancelButton: translate('Cancel', 'stwil.common.cancel'),
-        customButtons: customButtons,
-        allowVerticalScrolling: true
     });
 
-    // Note: OK and Cancel buttons use ST's native styling
+    await popup.show();
+}
 
-    const result = await popup.show();
-    if (!result) return null;
+/**
+ * Delete a preset and every lock, alias and default that references it.
+ * @param {Preset} preset
+ */
+async function deletePreset(preset) {
+    rememberDeletedPreset(preset);
+    delete settings.bookRemapDecisions[preset.id];
+
+    // Remove character locks that reference this preset
+    for (const [charName, lockedPreset] of Object.entries(settings.characterLocks)) {
+        if (findPreset(lockedPreset) === preset) {
+            delete settings.characterLocks[charName];
+            emitLockChanged('character', charName, null, lockedPreset);
+        }
+    }
 
-    const includeSettings = includeToggle.checked;
-    const selectedSettings = includeSettings ?
-        Array.from(content.querySelectorAll('.settingCheckbox:checked')).map(cb => cb.dataset.setting) :
-        [];
+    // Remove group locks that reference this preset
+    for (const [groupId, lockedPreset] of Object.entries(settings.groupLocks)) {
+        if (findPreset(lockedPreset) === preset) {
+            delete settings.groupLocks[groupId];
+            emitLockChanged('group', groupId, null, lockedPreset);
+        }
+    }
 
-    return {
-        includeSettings,
-        selectedSettings
-    };
-}
+    // Remove tag locks that reference this preset
+    for (const [tagId, lockedPreset] of Object.entries(settings.tagLocks)) {
+        if (findPreset(lockedPreset) === preset) {
+            delete settings.tagLocks[tagId];
+            settings.tagLockOrder = settings.tagLockOrder.filter(id => id !== tagId);
+            emitLockChanged('tag', tagId, null, lockedPreset);
+        }
+    }
 
-const createPreset = async()=>{
-    const nameContent = document.createElement('div');
-    nameContent.innerHTML = `<h3>${translate('Preset Name:', 'stwil.dialog.presetName.title')}</h3>`;
-    const name = await callPopup(nameContent, 'input', settings.presetName);
-    if (!name) return;
+    // Remove persona locks that reference this preset
+    for (const [personaId, lockedPreset] of Object.entries(settings.personaLocks)) {
+        if (findPreset(lockedPreset) === preset) {
+            delete settings.personaLocks[personaId];
+            emitLockChanged('persona', personaId, null, lockedPreset);
+        }
+    }
 
-    // Show settings inclusion dialog
-    const settingsToInclude = await showSettingsSelectionDialog();
-    if (!settingsToInclude) return; // User cancelled
+    // Remove chat lock if it references this preset
+    const chatLock = getChatLock();
+    if (chatLock && findPreset(chatLock) === preset) {
+        setChatLock(null);
+    }
+    // Other chats keep the ID in their metadata, so restoring the preset brings those locks back
+    for (const [chatId, entry] of Object.entries(settings.chatLockIndex)) {
+        if (findPreset(entry.presetId) === preset) {
+            delete settings.chatLockIndex[chatId];
+        }
+    }
+    for (const [chatId, ref] of Object.entries(settings.pendingChatLocks)) {
+        if (findPreset(ref) === preset) {
+            delete settings.pendingChatLocks[chatId];
+        }
+    }
 
-    const preset = new Preset();
-    preset.name = name;
-    preset.worldList = [...world_info.globalSelect];
+    // Remove global default if it references this preset
+    if (findPreset(settings.globalDefaultPreset) === preset) {
+        emitLockChanged('globalDefault', null, null, settings.globalDefaultPreset);
+        settings.globalDefaultPreset = '';
+    }
 
-    // Apply settings selection
-    if (settingsToInclude.includeSettings) {
-        const fullSettings = snapshotWorldInfoSettings();
-        const filteredSettings = {};
+    settings.favoritePresets = settings.favoritePresets.filter(id => id !== preset.id);
+    settings.recentPresets = settings.recentPresets.filter(id => id !== preset.id);
 
-        for (const [key, value] of Object.entries(fullSettings)) {
-            if (settingsToInclude.selectedSettings.includes(key)) {
-                filteredSettings[key] = value;
-            }
+    // Drop aliases pointing at the deleted preset
+    for (const [alias, presetId] of Object.entries(settings.presetNameAliases)) {
+        if (presetId === preset.id) {
+            delete settings.presetNameAliases[alias];
         }
+    }
 
-        preset.worldInfoSettings = filteredSettings;
-        console.log(`STWIL: Created preset "${name}" with selected settings:`, Object.keys(filteredSettings));
-    } else {
-        preset.worldInfoSettings = null;
-        console.log(`STWIL: Created preset "${name}" without world info settings`);
+    const wasActive = settings.preset === preset;
+    settings.presetList.splice(settings.presetList.indexOf(preset), 1);
+
+    if (wasActive) {
+        settings.presetName = '';
+
+        // Deactivate all worlds to clear the deleted preset
+        await activatePreset(null, true);
     }
 
-    settings.presetList.push(preset);
-    settings.presetName = name;
     updateSelect();
     updateLockButton();
     saveSettingsDebounced();
-};
+    emitStwilEvent(STWIL_EVENTS.PRESET_DELETED, { preset: presetToPlain(preset) });
+}
 
 // Event handlers
 function onCharacterChanged() {
@@ -1426,17 +4963,21 @@ function onCharacterChanged() {
     updateLockButton();
 
     // Always check for locks and global defaults, regardless of lock settings
-    setTimeout(() => {
-        checkAndApplyLocks();
-    }, 100);
+    scheduleLockCheck('character_changed');
+}
+
+function onPersonaChanged() {
+    clearContextCache(); // Clear cache when the user persona changes
+    updateLockButton();
+    scheduleLockCheck('persona_changed');
 }
 
 function onChatChanged() {
     clearContextCache(); // Clear cache when chat changes
+    migrateChatLockToPresetId();
+    syncChatLock();
     updateLockButton();
-    setTimeout(() => {
-        checkAndApplyLocks();
-    }, 100);
+    scheduleLockCheck('chat_changed');
 }
 
 const init = ()=>{
@@ -1454,6 +4995,13 @@ const init = ()=>{
 
     // Migrate group locks from character locks storage
     migrateGroupLocksFromCharacterLocks();
+
+    // Replace the prefer-chat toggle with the lock priority list
+    migrateLockPriority();
+
+    // Give every preset a stable ID and point locks at it
+    migratePresetIds();
+    migrateChatLockToPresetId();
     
     const dom = document.createElement('div'); {
         dom.classList.add('flex', 'flexAuto', 'flexFlowRow', 'alignItemsBaseline');
@@ -1475,42 +5023,54 @@ const init = ()=>{
                 blank.value = '';
                 blank.setAttribute('data-i18n', 'stwil.select.placeholder');
                 blank.textContent = settings.globalDefaultPreset ? 
-                    tKey('stwil.select.default', '--- Default: ${0} ---', settings.globalDefaultPreset) : 
+                    tKey('stwil.select.default', '--- Default: ${0} ---', getPresetDisplayName(settings.globalDefaultPreset)) : 
                     translate('--- Pick a Preset ---', 'stwil.select.placeholder');
                 presetSelect.append(blank);
             }
             for (const preset of (settings.presetList || []).filter(p => p && p.name).toSorted((a, b) => (a.name || '').toLowerCase().localeCompare((b.name || '').toLowerCase()))) {
                 const opt = document.createElement('option'); {
-                    opt.value = preset.name;
+                    opt.value = preset.id;
                     opt.textContent = preset.name;
                     opt.title = generatePresetTooltip(preset);
                     presetSelect.append(opt);
                 }
             }
-            presetSelect.value = settings.presetName ?? '';
+            presetSelect.value = settings.preset?.id ?? '';
+            presetSelect.addEventListener('mousedown', (e)=>{
+                if (!shouldUsePresetPicker()) return;
+                // Keeps the native list closed; the keyboard still works on the plain select
+                e.preventDefault();
+                showPresetPicker();
+            });
             presetSelect.addEventListener('change', async()=>{
-                if (presetSelect.value === '') {
-                    // Handle "--Default--" selection by applying global default if available
-                    if (settings.globalDefaultPreset) {
-                        const defaultPreset = settings.presetList.find(p => p.name === settings.globalDefaultPreset);
-                        if (defaultPreset) {
-                            await activatePreset(defaultPreset);
-                    if (settings.showLockNotifications) {
-                        toastr.info(
-                            tKey('stwil.toast.appliedGlobalDefault', 'Applied global default preset "${0}"', escapeHtml(settings.globalDefaultPreset)),
-                            translate('World Info Presets', 'stwil.title')
-                        );
-                    }
+                try {
+                    if (presetSelect.value === '') {
+                        // Handle "--Default--" selection by applying global default if available
+                        if (settings.globalDefaultPreset) {
+                            const defaultPreset = findPreset(settings.globalDefaultPreset);
+                            if (defaultPreset) {
+                                await activatePreset(defaultPreset);
+                                if (settings.showLockNotifications) {
+                                    toastr.info(
+                                        tKey('stwil.toast.appliedGlobalDefault', 'Applied global default preset "${0}"', escapeHtml(defaultPreset.name)),
+                                        translate('World Info Presets', 'stwil.title')
+                                    );
+                                }
+                            } else {
+                                // Global default preset not found, clear current preset
+                                await activatePreset(null);
+                            }
                         } else {
-                            // Global default preset not found, clear current preset
+                            // No global default set, clear current preset
                             await activatePreset(null);
                         }
                     } else {
-                        // No global default set, clear current preset
-                        await activatePreset(null);
+                        await activatePreset(findPresetById(presetSelect.value));
                     }
-                } else {
-                    await activatePresetByName(presetSelect.value);
+                } catch (error) {
+                    // Also covers picks from the picker, which go through this handler
+                    reportActivationFailure(error);
+                    updateSelect();
                 }
             });
             dom.append(presetSelect);
@@ -1518,6 +5078,14 @@ const init = ()=>{
         const actions = document.createElement('div'); {
             actions.classList.add('flex', 'flexFlowRow');
             actions.style.gap = '0.25em';
+
+            const btnPicker = document.createElement('div'); {
+                btnPicker.classList.add('menu_button', 'fa-solid', 'fa-magnifying-glass');
+                btnPicker.setAttribute('data-i18n', '[title]stwil.ui.pickerButton.title');
+                btnPicker.title = translate('Search presets', 'stwil.ui.pickerButton.title');
+                btnPicker.addEventListener('click', showPresetPicker);
+                actions.append(btnPicker);
+            }
             
             // Lock button
             lockButton = document.createElement('div'); {
@@ -1536,59 +5104,45 @@ const init = ()=>{
                 settingsButton.addEventListener('click', showSettings);
                 actions.append(settingsButton);
             }
+
+            const btnTrace = document.createElement('div'); {
+                btnTrace.classList.add('menu_button', 'fa-solid', 'fa-circle-question');
+                btnTrace.setAttribute('data-i18n', '[title]stwil.ui.traceButton.title');
+                btnTrace.title = translate('Why is this preset active?', 'stwil.ui.traceButton.title');
+                btnTrace.addEventListener('click', showResolutionTrace);
+                actions.append(btnTrace);
+            }
             
             const btnRename = document.createElement('div'); {
                 btnRename.classList.add('menu_button', 'fa-solid', 'fa-pencil');
                 btnRename.setAttribute('data-i18n', '[title]stwil.ui.renameButton.title');
                 btnRename.title = translate('Rename current preset', 'stwil.ui.renameButton.title');
                 btnRename.addEventListener('click', async()=>{
-                    const oldName = settings.presetName;
+                    if (!settings.preset) return;
                     const renameContent = document.createElement('div');
                     renameContent.innerHTML = `<h3>${translate('Rename Preset:', 'stwil.dialog.renamePreset.title')}</h3>`;
                     const name = await callPopup(renameContent, 'input', settings.presetName);
-                    if (!name || name === oldName) return;
-                    
-                    // Update chat lock if it matches
-                    const chatLock = getChatLock();
-                    if (chatLock === oldName) {
-                        setChatLock(name);
-                    }
-                    
-                    // Update character locks that reference this preset
-                    for (const [charName, lockedPreset] of Object.entries(settings.characterLocks)) {
-                        if (lockedPreset === oldName) {
-                            settings.characterLocks[charName] = name;
-                        }
-                    }
-
-                    // Update group locks that reference this preset
-                    for (const [groupId, lockedPreset] of Object.entries(settings.groupLocks)) {
-                        if (lockedPreset === oldName) {
-                            settings.groupLocks[groupId] = name;
-                        }
-                    }
-                    
-                    // Update global default if it references this preset
-                    if (settings.globalDefaultPreset === oldName) {
-                        settings.globalDefaultPreset = name;
-                    }
-                    
-                    settings.preset.name = name;
-                    settings.presetName = name;
-                    updateSelect();
-                    saveSettingsDebounced();
+                    renamePreset(settings.preset, name);
                 });
                 actions.append(btnRename);
             }
+            const btnEdit = document.createElement('div'); {
+                btnEdit.classList.add('menu_button', 'fa-solid', 'fa-pen-to-square');
+                btnEdit.setAttribute('data-i18n', '[title]stwil.ui.editButton.title');
+                btnEdit.title = translate('Edit current preset', 'stwil.ui.editButton.title');
+                btnEdit.addEventListener('click', async()=>{
+                    if (!settings.preset) return;
+                    await showPresetEditor(settings.preset);
+                });
+                actions.append(btnEdit);
+            }
             const btnUpdate = document.createElement('div'); {
                 btnUpdate.classList.add('menu_button', 'fa-solid', 'fa-save');
                 btnUpdate.setAttribute('data-i18n', '[title]stwil.ui.updateButton.title');
                 btnUpdate.title = translate('Update current preset', 'stwil.ui.updateButton.title');
                 btnUpdate.addEventListener('click', ()=>{
                     if (!settings.preset) return createPreset();
-                    settings.preset.worldList = [...world_info.globalSelect];
-                    settings.preset.worldInfoSettings = snapshotWorldInfoSettings();
-                    saveSettingsDebounced();
+                    updatePresetFromCurrentState(settings.preset);
                 });
                 actions.append(btnUpdate);
             }
@@ -1603,11 +5157,26 @@ const init = ()=>{
                 btnRestore.classList.add('menu_button', 'fa-solid', 'fa-rotate-left');
                 btnRestore.setAttribute('data-i18n', '[title]stwil.ui.restoreButton.title');
                 btnRestore.title = translate('Restore current preset', 'stwil.ui.restoreButton.title');
-                btnRestore.addEventListener('click', ()=>activatePreset(settings.preset, true));
+                btnRestore.addEventListener('click', ()=>activatePreset(settings.preset, true).catch(reportActivationFailure));
                 actions.append(btnRestore);
             }
+            const btnCompare = document.createElement('div'); {
+                btnCompare.classList.add('menu_button', 'fa-solid', 'fa-code-compare');
+                btnCompare.setAttribute('data-i18n', '[title]stwil.ui.compareButton.title');
+                btnCompare.title = translate('Compare presets', 'stwil.ui.compareButton.title');
+                btnCompare.addEventListener('click', ()=>showPresetCompare(settings.preset));
+                actions.append(btnCompare);
+            }
+            const btnHistory = document.createElement('div'); {
+                btnHistory.classList.add('menu_button', 'fa-solid', 'fa-clock-rotate-left');
+                btnHistory.setAttribute('data-i18n', '[title]stwil.ui.historyButton.title');
+                btnHistory.title = translate('Preset history and deleted presets', 'stwil.ui.historyButton.title');
+                btnHistory.addEventListener('click', ()=>showPresetHistory(settings.preset));
+                actions.append(btnHistory);
+            }
             const importFile = document.createElement('input'); {
                 importFile.type = 'file';
+                importFile.multiple = true;
                 importFile.addEventListener('change', async()=>{
                     await importPreset(importFile.files);
                     importFile.value = null;
@@ -1655,13 +5224,13 @@ const init = ()=>{
                     const includeBooks = content.querySelector('#includeBooks')?.checked || false;
                     const useCurrentSelection = content.querySelector('#useCurrentSelection')?.checked || false;
 
-                    const data = settings.preset.toJSON();
+                    const data = { ...settings.preset.toJSON(), schemaVersion: PRESET_SCHEMA_VERSION };
 
                     // Include character locks in export
                     const relevantLocks = {};
                     for (const [charName, lockedPreset] of Object.entries(settings.characterLocks)) {
-                        if (lockedPreset === settings.presetName) {
-                            relevantLocks[charName] = lockedPreset;
+                        if (findPreset(lockedPreset) === settings.preset) {
+                            relevantLocks[charName] = settings.preset.id;
                         }
                     }
                     if (Object.keys(relevantLocks).length > 0) {
@@ -1671,21 +5240,31 @@ const init = ()=>{
                     // Include group locks in export
                     const relevantGroupLocks = {};
                     for (const [groupId, lockedPreset] of Object.entries(settings.groupLocks)) {
-                        if (lockedPreset === settings.presetName) {
-                            relevantGroupLocks[groupId] = lockedPreset;
+                        if (findPreset(lockedPreset) === settings.preset) {
+                            relevantGroupLocks[groupId] = settings.preset.id;
                         }
                     }
                     if (Object.keys(relevantGroupLocks).length > 0) {
                         data.groupLocks = relevantGroupLocks;
                     }
+
+                    // Group and chat locks by name, members and character, so other installs can map them
+                    await scanChatLocks();
+                    const { groupLockTargets, chatLockTargets } = getPortableLocks(settings.preset);
+                    if (groupLockTargets.length > 0) {
+                        data.groupLockTargets = groupLockTargets;
+                    }
+                    if (chatLockTargets.length > 0) {
+                        data.chatLockTargets = chatLockTargets;
+                    }
                     
                     // Include global default setting if this preset is the global default
-                    if (settings.globalDefaultPreset === settings.presetName) {
+                    if (findPreset(settings.globalDefaultPreset) === settings.preset) {
                         data.isGlobalDefault = true;
                     }
 
                     if (includeBooks) {
-                        let names = useCurrentSelection ? world_info.globalSelect : settings.preset?.worldList || [];
+                        let names = useCurrentSelection ? getSelectedBooks() : settings.preset?.worldList || [];
                         const books = {};
                         for (const book of names) {
                             const bookData = await loadBook(book);
@@ -1696,62 +5275,30 @@ const init = ()=>{
                         data.books = books;
                     }
 
-                    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = `SillyTavern-WorldInfoPreset-${settings.presetName}.json`;
-                    a.click();
-                    URL.revokeObjectURL(url); // Clean up
+                    downloadJson(data, `SillyTavern-WorldInfoPreset-${settings.presetName}.json`);
                 });
                 actions.append(btnExport);
             }
+            const btnBackup = document.createElement('div'); {
+                btnBackup.classList.add('menu_button', 'fa-solid', 'fa-box-archive');
+                btnBackup.setAttribute('data-i18n', '[title]stwil.ui.backupButton.title');
+                btnBackup.title = translate('Back up or restore all presets and locks', 'stwil.ui.backupButton.title');
+                btnBackup.addEventListener('click', showBackupDialog);
+                actions.append(btnBackup);
+            }
             const btnDelete = document.createElement('div'); {
                 btnDelete.classList.add('menu_button', 'redWarningBG', 'fa-solid', 'fa-trash-can');
                 btnDelete.setAttribute('data-i18n', '[title]stwil.ui.deleteButton.title');
                 btnDelete.title = translate('Delete the current preset', 'stwil.ui.deleteButton.title');
                 btnDelete.addEventListener('click', async()=>{
-                    if (settings.presetName == '') return;
+                    if (!settings.preset) return;
                     const deleteContent = document.createElement('div');
                     deleteContent.innerHTML = `<h3>${tKey('stwil.delete.confirmTitle', 'Delete World Info Preset "${0}"?', escapeHtml(settings.presetName))}</h3>`;
                     const confirmed = await callPopup(deleteContent, 'confirm');
                     if (confirmed) {
-                        const presetName = settings.presetName;
-                        
-                        // Remove character locks that reference this preset
-                        for (const [charName, lockedPreset] of Object.entries(settings.characterLocks)) {
-                            if (lockedPreset === presetName) {
-                                delete settings.characterLocks[charName];
-                            }
-                        }
-
-                        // Remove group locks that reference this preset
-                        for (const [groupId, lockedPreset] of Object.entries(settings.groupLocks)) {
-                            if (lockedPreset === presetName) {
-                                delete settings.groupLocks[groupId];
-                            }
-                        }
-                        
-                        // Remove chat lock if it references this preset
-                        const chatLock = getChatLock();
-                        if (chatLock === presetName) {
-                            setChatLock(null);
-                        }
-                        
-                        // Remove global default if it references this preset
-                        if (settings.globalDefaultPreset === presetName) {
-                            settings.globalDefaultPreset = '';
-                        }
-                        
-                        settings.presetList.splice(settings.presetList.indexOf(settings.preset), 1);
-                        settings.presetName = '';
-                        
-                        // Deactivate all worlds to clear the deleted preset
-                        await activatePreset(null, true);
-                        
-                        updateSelect();
-                        updateLockButton();
-                        saveSettingsDebounced();
+                        const name = settings.presetName;
+                        await deletePreset(settings.preset);
+                        toastr.info(tKey('stwil.toast.presetDeleted', 'Deleted preset "${0}". It can be restored from the history.', escapeHtml(name)));
                     }
                 });
                 actions.append(btnDelete);
@@ -1764,16 +5311,30 @@ const init = ()=>{
     // Initialize lock button state
     updateLockButton();
 
+    // Shortcuts work without opening the World Info drawer
+    document.addEventListener('keydown', onHotkey);
+
     // Event listeners
     if (eventSource && event_types) {
         eventSource.on(event_types.CHARACTER_SELECTED, onCharacterChanged);
         eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+        // Older SillyTavern versions don't emit persona changes
+        if (event_types.PERSONA_CHANGED) {
+            eventSource.on(event_types.PERSONA_CHANGED, onPersonaChanged);
+        }
+        // Character locks are keyed by card, which needs the character list to be loaded
+        eventSource.on(event_types.APP_READY, migrateCharacterLocksToAvatars);
+        eventSource.on(event_types.APP_READY, onAppReadyApplyEngineSettings);
+        // Book toggles and settings edits can make the live state drift from the active preset
+        eventSource.on(event_types.WORLDINFO_SETTINGS_UPDATED, updateDirtyIndicator);
+        eventSource.on(event_types.SETTINGS_UPDATED, updateDirtyIndicator);
         eventSource.on(event_types.CHAT_LOADED, () => {
             clearContextCache(); // Clear cache when chat loads
+            // Takes over the check scheduled by CHAT_CHANGED, so one chat switch applies once
+            scheduleLockCheck('chat_loaded', 500);
             setTimeout(() => {
                 updateLockButton();
                 updateSelect(); // Update dropdown filtering for new context
-                checkAndApplyLocks();
             }, 500);
         });
     }
@@ -1826,7 +5387,10 @@ const init = ()=>{
                 await dlg.show();
                 if (dlg.result == POPUP_RESULT.AFFIRMATIVE) {
                     for (const preset of presets) {
+                        const previous = capturePresetState(preset);
                         preset.worldList.splice(preset.worldList.indexOf(oldName), 1, newName);
+                        recordPresetRevision(preset, previous, 'bookRenamed');
+                        preset.updatedAt = Date.now();
                     }
                     saveSettingsDebounced();
                     updateSelect(); // Update the UI to reflect changes
@@ -1842,12 +5406,320 @@ const init = ()=>{
 
 init();
 
-registerSlashCommand('wipreset',
-    (args, value)=>{
-        activatePresetByName(value);
+const LOCK_TYPES = ['chat', 'character', 'group', 'persona'];
+
+const presetEnumProvider = () => settings.presetList.map(preset => new SlashCommandEnumValue(preset.name, preset.worldList.join(', '), enumTypes.name, '🌎'));
+const lockTypeEnumProvider = () => LOCK_TYPES.map(type => new SlashCommandEnumValue(type, null, enumTypes.enum));
+
+/**
+ * Resolve the preset named by a slash command, falling back to the current preset.
+ * Warns and returns null when a name was given but doesn't match a preset.
+ */
+function getSlashCommandPreset(name) {
+    const presetName = String(name ?? '').trim();
+    if (!presetName) {
+        return settings.preset ?? null;
+    }
+    const preset = findPresetByName(presetName);
+    if (!preset) {
+        toastr.warning(tKey('stwil.toast.presetNotFound', 'Preset "${0}" not found', escapeHtml(presetName)));
+        return null;
+    }
+    return preset;
+}
+
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset',
+        callback: async (args, value) => {
+            if (!String(value ?? '').trim()) {
+                await activatePreset(null, false, 'command');
+                return '';
+            }
+            const preset = getSlashCommandPreset(value);
+            if (!preset) return '';
+            await activatePreset(preset, false, 'command');
+            return settings.presetName ?? '';
+        },
+        returns: translate('the name of the active preset', 'stwil.slash.returns.activePreset'),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: translate('preset name', 'stwil.slash.arg.presetName'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: presetEnumProvider,
+            }),
+        ],
+        helpString: translate('<span class="monospace">(optional preset name)</span> – Activate a World Info preset. Leave name blank to deactivate current preset (unload all WI books).', 'stwil.slash.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-list',
+        callback: () => JSON.stringify(settings.presetList.map(preset => preset.name)),
+        returns: translate('a JSON array of preset names', 'stwil.slash.returns.presetList'),
+        helpString: translate('Lists all World Info presets.', 'stwil.slash.list.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-get',
+        callback: (args) => {
+            switch (args.which) {
+                case 'effective': return getEffectivePreset()?.name ?? '';
+                case 'lock': return getPresetDisplayName(getLockForContext()) ?? '';
+                case 'default': return getPresetDisplayName(settings.globalDefaultPreset) ?? '';
+                default: return settings.presetName ?? '';
+            }
+        },
+        returns: translate('a preset name, or an empty string', 'stwil.slash.returns.presetName'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'which',
+                description: translate('current: the active preset; effective: the preset that applies to this context; lock: the preset this context is locked to; default: the global default', 'stwil.slash.get.which'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'current',
+                enumList: ['current', 'effective', 'lock', 'default'],
+            }),
+        ],
+        helpString: translate('Gets the name of the current, effective, locked or global default World Info preset.', 'stwil.slash.get.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-save',
+        callback: (args, value) => {
+            const preset = getSlashCommandPreset(value);
+            if (!preset) return '';
+            updatePresetFromCurrentState(preset);
+            return preset.name;
+        },
+        returns: translate('the name of the saved preset', 'stwil.slash.returns.savedPreset'),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: translate('preset name, defaults to the current preset', 'stwil.slash.arg.presetNameOrCurrent'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: presetEnumProvider,
+            }),
+        ],
+        helpString: translate('Saves the currently selected books and world info settings into a preset.', 'stwil.slash.save.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-create',
+        callback: (args, value) => {
+            const name = String(value ?? '').trim();
+            if (!name) return '';
+            if (findPresetByName(name)) {
+                toastr.warning(tKey('stwil.toast.presetExists', 'Preset "${0}" already exists', escapeHtml(name)));
+                return '';
+            }
+            const settingKeys = args.settings === 'none' ? null : Object.keys(snapshotWorldInfoSettings());
+            return createPresetFromCurrentState(name, settingKeys).name;
+        },
+        returns: translate('the name of the new preset', 'stwil.slash.returns.newPreset'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'settings',
+                description: translate('all: include all world info settings; none: books only', 'stwil.slash.create.settings'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'all',
+                enumList: ['all', 'none'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: translate('preset name', 'stwil.slash.arg.presetName'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: translate('Creates a preset from the currently selected books and world info settings.', 'stwil.slash.create.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-delete',
+        callback: async (args, value) => {
+            if (!String(value ?? '').trim()) return '';
+            const preset = getSlashCommandPreset(value);
+            if (!preset) return '';
+            await deletePreset(preset);
+            return preset.name;
+        },
+        returns: translate('the name of the deleted preset', 'stwil.slash.returns.deletedPreset'),
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: translate('preset name', 'stwil.slash.arg.presetName'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: presetEnumProvider,
+            }),
+        ],
+        helpString: translate('Deletes a World Info preset and every lock that uses it.', 'stwil.slash.delete.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-rename',
+        callback: (args, value) => {
+            const preset = getSlashCommandPreset(args.preset);
+            const name = String(value ?? '').trim();
+            if (!preset || !name) return '';
+            const existing = findPresetByName(name);
+            if (existing && existing !== preset) {
+                toastr.warning(tKey('stwil.toast.presetExists', 'Preset "${0}" already exists', escapeHtml(name)));
+                return '';
+            }
+            renamePreset(preset, name);
+            return preset.name;
+        },
+        returns: translate('the new preset name', 'stwil.slash.returns.renamedPreset'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'preset',
+                description: translate('preset to rename, defaults to the current preset', 'stwil.slash.rename.preset'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: presetEnumProvider,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: translate('new name', 'stwil.slash.arg.newName'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: translate('Renames a World Info preset. Locks keep pointing at it.', 'stwil.slash.rename.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-lock',
+        callback: (args, value) => {
+            const preset = getSlashCommandPreset(value);
+            if (!preset) return '';
+            const type = args.type || 'chat';
+            if (!setContextLock(type, preset.id)) {
+                toastr.warning(tKey('stwil.toast.cannotLock', 'Nothing to lock: the current context has no ${0}', escapeHtml(type)));
+                return '';
+            }
+            return preset.name;
+        },
+        returns: translate('the name of the locked preset', 'stwil.slash.returns.lockedPreset'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'type',
+                description: translate('what to lock the preset to', 'stwil.slash.lock.type'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'chat',
+                enumProvider: lockTypeEnumProvider,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: translate('preset name, defaults to the current preset', 'stwil.slash.arg.presetNameOrCurrent'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumProvider: presetEnumProvider,
+            }),
+        ],
+        helpString: translate('Locks a World Info preset to the current chat, character, group or persona.', 'stwil.slash.lock.help'),
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'wipreset-unlock',
+        callback: (args) => {
+            const type = args.type || 'chat';
+            const types = type === 'all' ? LOCK_TYPES : [type];
+            const context = getCurrentContext();
+            // Only report locks that were actually there
+            const cleared = types.filter(it => LOCK_SOURCES[it]?.getLock(context) && setContextLock(it, null));
+            return JSON.stringify(cleared);
+        },
+        returns: translate('a JSON array of the lock types that were cleared', 'stwil.slash.returns.clearedLocks'),
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'type',
+                description: translate('which lock to remove', 'stwil.slash.unlock.type'),
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'chat',
+                enumProvider: () => [...lockTypeEnumProvider(), new SlashCommandEnumValue('all', null, enumTypes.enum)],
+            }),
+        ],
+        helpString: translate('Removes the chat, character, group or persona lock of the current context.', 'stwil.slash.unlock.help'),
+    }));
+}
+
+registerSlashCommands();
+
+/**
+ * Public API for other extensions, also available as `window.WorldInfoLocks`.
+ * Presets can be referenced by ID or name and are always returned as plain copies.
+ * Subscribe to `api.events` through SillyTavern's `eventSource` to react to changes.
+ */
+export const api = Object.freeze({
+    version: 1,
+    events: STWIL_EVENTS,
+
+    /** @returns {object[]} All presets */
+    listPresets: () => settings.presetList.map(presetToPlain),
+
+    /** @returns {object|null} */
+    getPreset: (ref) => presetToPlain(findPreset(ref)),
+
+    /** @returns {object|null} The currently selected preset */
+    getActivePreset: () => presetToPlain(settings.preset),
+
+    /** @returns {object|null} The preset that applies to the current context (lock, selection or global default) */
+    getEffectivePreset: () => presetToPlain(getEffectivePreset()),
+
+    /**
+     * Which source decides the preset for the current context, as shown in the resolution trace.
+     * @returns {{source: string, target: string|null, preset: object|null}|null}
+     */
+    resolve: () => {
+        const winner = traceResolution().winner;
+        if (!winner) return null;
+        return { source: winner.source, target: winner.target, preset: presetToPlain(findPreset(winner.presetRef)) };
+    },
+
+    /**
+     * The preset each lock source holds for the current context, in priority order, whether or not it is enabled.
+     * @returns {Object.<string, object|null>}
+     */
+    getLocks: () => {
+        const context = getCurrentContext();
+        return Object.fromEntries(getLockPriority().map(source => [source, presetToPlain(findPreset(LOCK_SOURCES[source].getLock(context)))]));
+    },
+
+    /**
+     * Activate a preset, or unload all books when `ref` is empty.
+     * @param {string|null} ref
+     * @param {{skipLockCheck?: boolean}} [options] Set `skipLockCheck: false` to ask the user whether to move this context's locks
+     * @returns {Promise<object|null>} The activated preset; rejects if the switch failed
+     */
+    activate: async (ref, { skipLockCheck = true } = {}) => {
+        const preset = ref ? findPreset(ref) : null;
+        if (ref && !preset) throw new Error(`STWIL: Preset "${ref}" not found`);
+        await activatePreset(preset, skipLockCheck, 'api');
+        return presetToPlain(preset);
+    },
+
+    /**
+     * Lock a preset to the current chat, character, group or persona.
+     * @param {'chat'|'character'|'group'|'persona'} type
+     * @param {string} ref
+     * @returns {boolean} false if the current context has nothing of that kind to lock
+     */
+    lock: (type, ref) => {
+        if (!LOCK_TYPES.includes(type)) throw new Error(`STWIL: Unknown lock type "${type}"`);
+        const preset = findPreset(ref);
+        if (!preset) throw new Error(`STWIL: Preset "${ref}" not found`);
+        return setContextLock(type, preset.id);
+    },
+
+    /**
+     * Remove the current context's chat, character, group or persona lock.
+     * @param {'chat'|'character'|'group'|'persona'} type
+     * @returns {boolean} false if the current context has nothing of that kind to unlock
+     */
+    unlock: (type) => {
+        if (!LOCK_TYPES.includes(type)) throw new Error(`STWIL: Unknown lock type "${type}"`);
+        return setContextLock(type, null);
     },
-    [],
-    translate('<span class="monospace">(optional preset name)</span> – Activate a World Info preset. Leave name blank to deactivate current preset (unload all WI books).', 'stwil.slash.help'),
-    true,
-    true,
-);
+});
+
+window.WorldInfoLocks = api;